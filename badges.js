@@ -0,0 +1,225 @@
+/* Department of Lost Circuits — category badges
+   - BADGE_ICONS: one line-art icon per canonical category
+     (CATEGORY_TAXONOMY in schema.js); rules.json 'badge' says which icon a
+     category wears, so two categories can share one
+   - Icons sit centred on 0,0 inside a BADGE-sized box, stroked in the
+     caller's ink at BADGE_STROKE; dots are tiny circles the stroke closes
+     up (no fills, so nothing to restore between icons)
+   - Every icon draws once for both paths: g = p5.instance on the main
+     canvas or a plate / PdfLayer (no rotate, so no rotated shapes)
+*/
+
+const BADGE_ICONS = {
+	audio: iconAudio,
+	media: iconMedia,
+	video: iconVideo,
+	television: iconTelevision,
+	computing: iconComputing,
+	pda: iconPda,
+	phone: iconPhone,
+	telephone: iconTelephone,
+	calculator: iconCalculator,
+	camera: iconCamera,
+	gaming: iconGaming,
+	toy: iconToy,
+	robotics: iconRobotics,
+	wearable: iconWearable,
+	storage: iconStorage,
+	typewriter: iconTypewriter,
+	sewing: iconSewing,
+	iot: iconIot,
+	other: iconOther,
+};
+
+const BADGE_STROKE = 2.5;
+
+function drawBadgeIcon(g, icon) {
+	g.push();
+	g.noFill();
+	g.strokeWeight(BADGE_STROKE);
+	(BADGE_ICONS[icon] || iconOther)(g);
+	g.pop();
+}
+
+// solid dot d across
+function badgeDot(g, x, y, d) {
+	g.circle(x, y, Math.max(d - BADGE_STROKE, 0.5));
+}
+
+//// ICONS /////////////////////////////////////////////////////////////////////
+// speaker cone + two sound arcs
+function iconAudio(g) {
+	g.rect(-11, -4, 5, 8);
+	g.beginShape();
+	g.vertex(-6, -4);
+	g.vertex(0, -9);
+	g.vertex(0, 9);
+	g.vertex(-6, 4);
+	g.endShape(CLOSE);
+	g.arc(2, 0, 10, 10, -QUARTER_PI, QUARTER_PI);
+	g.arc(2, 0, 20, 20, -QUARTER_PI, QUARTER_PI);
+}
+
+// compact cassette: shell, two reels, tape window
+function iconMedia(g) {
+	g.rect(-12, -8, 24, 16, 2);
+	g.circle(-5, -1, 5);
+	g.circle(5, -1, 5);
+	g.line(-6, 8, -4, 4);
+	g.line(-4, 4, 4, 4);
+	g.line(4, 4, 6, 8);
+}
+
+// camcorder: body + lens hood
+function iconVideo(g) {
+	g.rect(-12, -6, 15, 12, 2);
+	g.triangle(3, 0, 11, -6, 11, 6);
+	badgeDot(g, -8, -2, 3);
+}
+
+// CRT set with rabbit ears
+function iconTelevision(g) {
+	g.rect(-11, -5, 22, 15, 3);
+	g.rect(-8, -2, 12, 9, 2);
+	badgeDot(g, 7, 0, 3);
+	g.line(-5, -11, 0, -5);
+	g.line(5, -11, 0, -5);
+}
+
+// monitor on a stand
+function iconComputing(g) {
+	g.rect(-11, -10, 22, 15, 2);
+	g.line(0, 5, 0, 9);
+	g.line(-6, 10, 6, 10);
+}
+
+// organiser: screen over a row of buttons
+function iconPda(g) {
+	g.rect(-8, -12, 16, 24, 3);
+	g.rect(-5, -8, 10, 10, 1);
+	badgeDot(g, -3, 7, 3);
+	badgeDot(g, 3, 7, 3);
+}
+
+// handset with earpiece and keypad
+function iconPhone(g) {
+	g.rect(-7, -12, 14, 24, 3);
+	g.line(-2, -8, 2, -8);
+	g.rect(-4, -5, 8, 6, 1);
+	badgeDot(g, -3, 6, 2);
+	badgeDot(g, 0, 6, 2);
+	badgeDot(g, 3, 6, 2);
+}
+
+// desk set: handset on the cradle
+function iconTelephone(g) {
+	g.arc(0, -2, 22, 14, PI, TWO_PI);
+	g.rect(-12, -3, 7, 4, 2);
+	g.rect(5, -3, 7, 4, 2);
+	g.beginShape();
+	g.vertex(-6, 2);
+	g.vertex(6, 2);
+	g.vertex(9, 10);
+	g.vertex(-9, 10);
+	g.endShape(CLOSE);
+	g.circle(0, 6, 4);
+}
+
+// display over a key grid
+function iconCalculator(g) {
+	g.rect(-9, -12, 18, 24, 2);
+	g.rect(-6, -9, 12, 6, 1);
+	for (const y of [2, 7])
+		for (const x of [-4, 0, 4]) badgeDot(g, x, y, 2.5);
+}
+
+// body, viewfinder hump, lens
+function iconCamera(g) {
+	g.rect(-12, -6, 24, 16, 2);
+	g.rect(-5, -10, 8, 4, 1);
+	g.circle(0, 2, 10);
+	badgeDot(g, 8, -2, 2.5);
+}
+
+// joypad: d-pad + two buttons
+function iconGaming(g) {
+	g.rect(-12, -7, 24, 14, 6);
+	g.line(-9, 0, -3, 0);
+	g.line(-6, -3, -6, 3);
+	badgeDot(g, 5, 1, 3.5);
+	badgeDot(g, 9, -2, 3.5);
+}
+
+// spinning top
+function iconToy(g) {
+	g.beginShape();
+	g.vertex(-11, -2);
+	g.vertex(11, -2);
+	g.vertex(0, 12);
+	g.endShape(CLOSE);
+	g.line(0, -2, 0, -10);
+	g.line(-4, -10, 4, -10);
+}
+
+// robot head with antenna
+function iconRobotics(g) {
+	g.rect(-10, -5, 20, 15, 3);
+	badgeDot(g, -4, 1, 4);
+	badgeDot(g, 4, 1, 4);
+	g.line(-4, 6, 4, 6);
+	g.line(0, -5, 0, -9);
+	g.circle(0, -11, 3);
+}
+
+// wristwatch: strap, case, hands
+function iconWearable(g) {
+	g.rect(-4, -12, 8, 5, 1);
+	g.rect(-4, 7, 8, 5, 1);
+	g.circle(0, 0, 15);
+	g.line(0, 0, 0, -4);
+	g.line(0, 0, 3, 0);
+}
+
+// floppy disk: shutter + label
+function iconStorage(g) {
+	g.beginShape();
+	g.vertex(-11, -11);
+	g.vertex(8, -11);
+	g.vertex(11, -8);
+	g.vertex(11, 11);
+	g.vertex(-11, 11);
+	g.endShape(CLOSE);
+	g.rect(-5, -11, 10, 7);
+	g.rect(-6, 3, 12, 8);
+}
+
+// sheet in the platen over the keyboard
+function iconTypewriter(g) {
+	g.rect(-6, -12, 12, 11);
+	g.beginShape();
+	g.vertex(-9, -1);
+	g.vertex(9, -1);
+	g.vertex(12, 10);
+	g.vertex(-12, 10);
+	g.endShape(CLOSE);
+	g.line(-6, 5, 6, 5);
+}
+
+// needle + a loop of thread
+function iconSewing(g) {
+	g.line(-9, 11, 8, -8);
+	g.circle(9, -10, 4);
+	g.arc(-2, 2, 14, 14, QUARTER_PI, PI + QUARTER_PI);
+}
+
+// node broadcasting
+function iconIot(g) {
+	badgeDot(g, 0, 7, 5);
+	g.arc(0, 7, 12, 12, PI + QUARTER_PI, TWO_PI - QUARTER_PI);
+	g.arc(0, 7, 22, 22, PI + QUARTER_PI, TWO_PI - QUARTER_PI);
+	g.arc(0, 7, 32, 32, PI + QUARTER_PI, TWO_PI - QUARTER_PI);
+}
+
+function iconOther(g) {
+	g.circle(0, 0, 20);
+}
@@ -0,0 +1,370 @@
+/* Department of Lost Circuits — border styles
+   - BORDER_STYLES: name → { label, params, frame, ticks, draw(g, f, p) };
+     registerBorderStyle() adds one (a plugin file loaded after this one can
+     add its own)
+   - drawStampBorder() draws the shared outer + inner frame and corner ticks
+     (unless the style opts out with frame / ticks: false), then the style's
+     own edge (an 'ornament' group in SVG). g = p5.instance, a plate, a
+     PdfLayer or an SvgLayer: styles stick to
+     rect / circle / arc / line / triangle / vertex (no rotate), ink is 0 and
+     255 punches back to paper
+   - Which style a stamp wears is the borderStyle rule (rules.json), or the
+     stamp inspector's override (overrides.js)
+*/
+
+const BORDER_STYLES = {};
+
+// f = frame geometry in stamp units: outer rect (bx, by, bw, bh), inner rect
+// (ix, iy, iw, ih) and the band between them, plus the stamp box (x, y, w, h)
+function registerBorderStyle(name, style) {
+	if (typeof style.draw !== 'function')
+		throw new Error(`Border style ${name} needs draw(g, frame, params)`);
+	BORDER_STYLES[name] = { label: name, params: {}, ...style };
+}
+
+function drawStampBorder(g, name, x, y, w, h) {
+	const style = BORDER_STYLES[name];
+	if (!style)
+		throw new Error(
+			`Unknown border style "${name}" — use ${Object.keys(BORDER_STYLES).join(
+				', '
+			)}`
+		);
+	const f = borderFrame(x, y, w, h);
+	g.push();
+	g.noFill();
+	g.stroke(0);
+	if (style.frame !== false) {
+		g.strokeWeight(3);
+		g.rect(f.bx, f.by, f.bw, f.bh, 3);
+		g.strokeWeight(1.5);
+		g.rect(f.ix, f.iy, f.iw, f.ih, 3);
+	}
+	g.push();
+	if (g.beginGroup) g.beginGroup(`${name} ornament`);
+	style.draw(g, f, style.params);
+	if (g.endGroup) g.endGroup();
+	g.pop();
+	if (style.ticks !== false) borderTicks(g, f, 18);
+	g.pop();
+}
+
+function borderFrame(x, y, w, h) {
+	const bx = x + FRAME_PAD,
+		by = y + FRAME_PAD;
+	const bw = w - FRAME_PAD * 2,
+		bh = h - FRAME_PAD * 2;
+	const band = INNER_INSET + 5;
+	return {
+		x,
+		y,
+		w,
+		h,
+		bx,
+		by,
+		bw,
+		bh,
+		band,
+		ix: bx + band,
+		iy: by + band,
+		iw: bw - band * 2,
+		ih: bh - band * 2,
+	};
+}
+
+function borderTicks(g, f, tick) {
+	const { bx, by, bw, bh } = f;
+	g.stroke(0);
+	g.strokeWeight(1.5);
+	for (const [cx, cy, sx, sy] of borderCorners(bx, by, bw, bh)) {
+		g.line(cx, cy, cx + sx * tick, cy);
+		g.line(cx, cy, cx, cy + sy * tick);
+	}
+}
+
+//// GEOMETRY //////////////////////////////////////////////////////////////////
+// Corners of a rect as [x, y, sx, sy], s = ±1 pointing into the rect
+function borderCorners(x, y, w, h) {
+	return [
+		[x, y, 1, 1],
+		[x + w, y, -1, 1],
+		[x + w, y + h, -1, -1],
+		[x, y + h, 1, -1],
+	];
+}
+
+// Sides of a rect, clockwise from the top: origin, direction, length and
+// inward normal, so edge patterns walk (along, across) without rotate()
+function borderSides(x, y, w, h) {
+	return [
+		{ x, y, dx: 1, dy: 0, len: w, nx: 0, ny: 1 },
+		{ x: x + w, y, dx: 0, dy: 1, len: h, nx: -1, ny: 0 },
+		{ x: x + w, y: y + h, dx: -1, dy: 0, len: w, nx: 0, ny: -1 },
+		{ x, y: y + h, dx: 0, dy: -1, len: h, nx: 1, ny: 0 },
+	];
+}
+
+function sidePoint(s, along, across) {
+	return [
+		s.x + s.dx * along + s.nx * across,
+		s.y + s.dy * along + s.ny * across,
+	];
+}
+
+function sideLine(g, s, a0, c0, a1, c1) {
+	g.line(...sidePoint(s, a0, c0), ...sidePoint(s, a1, c1));
+}
+
+// Open polyline through pts = [[along, across]…] on side s
+function sidePath(g, s, pts) {
+	g.beginShape();
+	for (const [a, c] of pts) g.vertex(...sidePoint(s, a, c));
+	g.endShape();
+}
+
+// Quarter arc around a corner, opening into the rect
+function cornerArc(g, cx, cy, sx, sy, d) {
+	const start = Math.atan2(sy, sx) - QUARTER_PI;
+	g.arc(cx, cy, d, d, start, start + HALF_PI);
+}
+
+//// STYLES ////////////////////////////////////////////////////////////////////
+// the classic four
+registerBorderStyle('perforated', {
+	label: 'Perforated',
+	params: { step: 16, r: 7, inset: 5 },
+	draw(g, { bx, by, bw, bh }, { step, r, inset }) {
+		g.stroke(255);
+		g.strokeWeight(8);
+		for (let px = bx + step; px < bx + bw; px += step) {
+			g.arc(px, by + inset, r * 2, r * 2, PI, TWO_PI);
+			g.arc(px, by + bh - inset, r * 2, r * 2, 0, PI);
+		}
+		for (let py = by + step; py < by + bh; py += step) {
+			g.arc(bx + inset, py, r * 2, r * 2, HALF_PI, 3 * HALF_PI);
+			g.arc(bx + bw - inset, py, r * 2, r * 2, -HALF_PI, HALF_PI);
+		}
+	},
+});
+
+registerBorderStyle('scalloped', {
+	label: 'Scalloped',
+	params: { step: 22 },
+	draw(g, { bx, by, bw, bh }, { step }) {
+		g.strokeWeight(2);
+		for (let px = bx; px < bx + bw; px += step) {
+			g.arc(px + step / 2, by, step, step, PI, TWO_PI);
+			g.arc(px + step / 2, by + bh, step, step, 0, PI);
+		}
+		for (let py = by; py < by + bh; py += step) {
+			g.arc(bx, py + step / 2, step, step, HALF_PI, 3 * HALF_PI);
+			g.arc(bx + bw, py + step / 2, step, step, -HALF_PI, HALF_PI);
+		}
+	},
+});
+
+registerBorderStyle('zigzag', {
+	label: 'Zigzag',
+	params: { step: 14, tooth: 6 },
+	draw(g, { bx, by, bw, bh }, { step, tooth }) {
+		g.noStroke();
+		g.fill(0);
+		for (let px = bx; px < bx + bw; px += step) {
+			g.triangle(px, by, px + step / 2, by - tooth, px + step, by);
+			g.triangle(
+				px,
+				by + bh,
+				px + step / 2,
+				by + bh + tooth,
+				px + step,
+				by + bh
+			);
+		}
+		for (let py = by; py < by + bh; py += step) {
+			g.triangle(bx, py, bx - tooth, py + step / 2, bx, py + step);
+			g.triangle(
+				bx + bw,
+				py,
+				bx + bw + tooth,
+				py + step / 2,
+				bx + bw,
+				py + step
+			);
+		}
+	},
+});
+
+registerBorderStyle('ticket', {
+	label: 'Ticket',
+	params: { notch: 14 },
+	draw(g, { bx, by, bw, bh }, { notch }) {
+		g.stroke(255);
+		g.strokeWeight(10);
+		g.arc(bx, by + bh / 2, notch * 2, notch * 2, -HALF_PI, HALF_PI);
+		g.arc(bx + bw, by + bh / 2, notch * 2, notch * 2, HALF_PI, -HALF_PI);
+		g.arc(bx + bw / 2, by, notch * 2, notch * 2, 0, PI);
+		g.arc(bx + bw / 2, by + bh, notch * 2, notch * 2, PI, 0);
+	},
+});
+
+// sunburst fans in the corners, stepped ziggurats on each side and a
+// hairline through the band
+registerBorderStyle('art-deco', {
+	label: 'Art Deco',
+	params: { rays: 7, fan: 28, steps: 3, stepW: 16, stepH: 2.5 },
+	draw(g, f, { rays, fan, steps, stepW, stepH }) {
+		const { bx, by, bw, bh, band } = f;
+		g.strokeWeight(0.8);
+		for (const [cx, cy, sx, sy] of borderCorners(bx, by, bw, bh)) {
+			for (let i = 1; i <= rays; i++) {
+				const a = (i / (rays + 1)) * HALF_PI;
+				g.line(cx, cy, cx + sx * fan * cos(a), cy + sy * fan * sin(a));
+			}
+			cornerArc(g, cx, cy, sx, sy, fan * 2);
+			cornerArc(g, cx, cy, sx, sy, fan * 1.3);
+		}
+		for (const s of borderSides(bx, by, bw, bh)) {
+			sideLine(g, s, fan + 2, band / 2, s.len - fan - 2, band / 2);
+			// ziggurat: widest step on the frame, narrower ones outward
+			g.strokeWeight(1.2);
+			const pts = [];
+			for (let k = 0; k <= steps; k++) {
+				const half = ((steps - k + 1) * stepW) / 2;
+				pts.push([s.len / 2 - half, -k * stepH]);
+				if (k < steps) pts.push([s.len / 2 - half, -(k + 1) * stepH]);
+			}
+			for (let k = steps; k >= 0; k--) {
+				const half = ((steps - k + 1) * stepW) / 2;
+				if (k < steps) pts.push([s.len / 2 + half, -(k + 1) * stepH]);
+				pts.push([s.len / 2 + half, -k * stepH]);
+			}
+			sidePath(g, s, pts);
+			g.strokeWeight(0.8);
+		}
+	},
+});
+
+// interlaced sine strands through the band, rosettes of overlapping
+// circles in the corners
+registerBorderStyle('guilloche', {
+	label: 'Guilloché rosette',
+	params: { strands: 3, wave: 12, amp: 3.2, petals: 8, rosette: 9 },
+	draw(g, f, { strands, wave, amp, petals, rosette }) {
+		const { bx, by, bw, bh, band } = f;
+		g.strokeWeight(0.6);
+		for (const s of borderSides(bx, by, bw, bh)) {
+			const run = s.len - band * 2;
+			const k = TWO_PI / (run / Math.max(Math.round(run / wave), 1));
+			for (let n = 0; n < strands; n++) {
+				const pts = [];
+				for (let a = 0; a <= run; a += 1.5)
+					pts.push([
+						band + a,
+						band / 2 + amp * sin(k * a + (n * TWO_PI) / strands),
+					]);
+				sidePath(g, s, pts);
+			}
+		}
+		for (const [cx, cy, sx, sy] of borderCorners(bx, by, bw, bh)) {
+			const px = cx + (sx * band) / 2,
+				py = cy + (sy * band) / 2;
+			for (let i = 0; i < petals; i++) {
+				const a = (i / petals) * TWO_PI;
+				g.circle(
+					px + (rosette / 2) * cos(a),
+					py + (rosette / 2) * sin(a),
+					rosette
+				);
+			}
+			g.circle(px, py, rosette * 2);
+		}
+	},
+});
+
+// twisted cable along the band, knotted at the corners
+registerBorderStyle('rope', {
+	label: 'Rope',
+	params: { twist: 6, lean: 1.8, knot: 9 },
+	draw(g, f, { twist, lean, knot }) {
+		const { bx, by, bw, bh, band } = f;
+		const half = band / 2 - 1.5;
+		g.strokeWeight(1);
+		for (const s of borderSides(bx, by, bw, bh)) {
+			const run = s.len - band * 2;
+			const step = run / Math.max(Math.round(run / twist), 1);
+			for (let a = 0; a + step * lean <= run + 0.01; a += step) {
+				const pts = [];
+				for (let t = 0; t <= 1.001; t += 0.25)
+					pts.push([
+						band + a + t * step * lean + 1.2 * sin(PI * t),
+						band / 2 + half * cos(PI * t),
+					]);
+				sidePath(g, s, pts);
+			}
+		}
+		for (const [cx, cy, sx, sy] of borderCorners(bx, by, bw, bh)) {
+			const px = cx + (sx * band) / 2,
+				py = cy + (sy * band) / 2;
+			g.circle(px, py, knot);
+			g.circle(px, py, knot / 2);
+		}
+	},
+});
+
+// banknote engraving: paired hairline rules with hatching between
+registerBorderStyle('engraved', {
+	label: 'Engraved double rule',
+	frame: false,
+	ticks: false,
+	params: { rule: 2.5, hatch: 2 },
+	draw(g, f, { rule, hatch }) {
+		const { bx, by, bw, bh, ix, iy, iw, ih, band } = f;
+		g.strokeWeight(1.4);
+		g.rect(bx, by, bw, bh);
+		g.rect(ix, iy, iw, ih);
+		g.strokeWeight(0.5);
+		g.rect(bx + rule, by + rule, bw - rule * 2, bh - rule * 2);
+		g.rect(ix + rule, iy + rule, iw - rule * 2, ih - rule * 2);
+		g.strokeWeight(0.4);
+		for (const s of borderSides(bx, by, bw, bh)) {
+			const run = s.len - band * 2;
+			const step = run / Math.round(run / hatch);
+			for (let a = band; a <= s.len - band + 0.01; a += step)
+				sideLine(g, s, a, rule, a, band);
+		}
+		g.strokeWeight(0.8);
+		for (const [cx, cy, sx, sy] of borderCorners(bx, by, bw, bh)) {
+			const px = cx + (sx * (band + rule)) / 2,
+				py = cy + (sy * (band + rule)) / 2;
+			g.rect(px - 2.5, py - 2.5, 5, 5);
+		}
+	},
+});
+
+// engraved oval around the photo, its spandrels shaded with fine rules
+registerBorderStyle('vignette', {
+	label: 'Vignette oval',
+	params: { gap: 4, shade: 4 },
+	draw(g, f, { gap, shade }) {
+		const { ix, iy, iw } = f;
+		const bottom = f.y + f.h - STAMP_INSET - IMG_MARGIN - IMG_TEXT_FOOTER;
+		const cx = ix + iw / 2,
+			cy = (iy + bottom) / 2;
+		const rx = iw / 2 - gap,
+			ry = (bottom - iy) / 2;
+		g.strokeWeight(1.5);
+		g.ellipse(cx, cy, rx * 2, ry * 2);
+		g.strokeWeight(0.6);
+		g.ellipse(cx, cy, (rx + gap) * 2, (ry + gap) * 2);
+		g.strokeWeight(0.4);
+		const ox = rx + gap,
+			oy = ry + gap;
+		for (let py = iy + shade; py < bottom; py += shade) {
+			const t = (py - cy) / oy;
+			const span = Math.abs(t) < 1 ? ox * Math.sqrt(1 - t * t) : 0;
+			if (cx - span - ix < 1) continue;
+			g.line(ix, py, cx - span, py);
+			g.line(cx + span, py, ix + iw, py);
+		}
+	},
+});
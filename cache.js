@@ -0,0 +1,75 @@
+/* Department of Lost Circuits — render caches
+   - IMAGE_CACHE: device photos as processed for the plates, in two steps —
+     the gray (auto-levelled, or one ink's share of a separated photo) and
+     the dithered 1-bit image — each keyed by the image plus the parameters
+     of its step (size, crop, levels, method, gain, bias, AM screen…), so a
+     retune only redoes the steps it touches
+   - STAMP_CACHE: finished stamps of the sheet (the RGB stamp, or its
+     linework per ink already turned into ink), keyed by the device, its
+     seed, overrides and place plus the sheet's look; drawSheet() renders
+     only the stamps that miss
+   - Both drop their least recently used entries past a byte budget
+*/
+
+const IMAGE_CACHE_MB = 96;
+const STAMP_CACHE_MB = 192;
+
+//// LRU ///////////////////////////////////////////////////////////////////////
+// A Map keeps insertion order: a hit moves to the back, eviction takes from
+// the front. Values with a remove() (p5.Graphics) are removed when dropped.
+class RenderCache {
+	constructor(budgetMB) {
+		this.budget = budgetMB * 1024 * 1024;
+		this.bytes = 0;
+		this.entries = new Map(); // key → { value, bytes }
+	}
+	get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return undefined;
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		return entry.value;
+	}
+	// Returns value; one bigger than the whole budget isn't kept
+	set(key, value, bytes) {
+		this.delete(key);
+		this.entries.set(key, { value, bytes });
+		this.bytes += bytes;
+		for (const k of this.entries.keys()) {
+			if (this.bytes <= this.budget) break;
+			this.drop(k);
+		}
+		return value;
+	}
+	delete(key) {
+		if (this.entries.has(key)) this.drop(key);
+	}
+	clear() {
+		for (const key of [...this.entries.keys()]) this.drop(key);
+	}
+	drop(key) {
+		const { value, bytes } = this.entries.get(key);
+		this.entries.delete(key);
+		this.bytes -= bytes;
+		if (value && typeof value.remove === 'function') value.remove();
+	}
+}
+
+const IMAGE_CACHE = new RenderCache(IMAGE_CACHE_MB);
+const STAMP_CACHE = new RenderCache(STAMP_CACHE_MB);
+
+//// Keys //////////////////////////////////////////////////////////////////////
+function cacheKey(...parts) {
+	return JSON.stringify(parts);
+}
+
+// Loaded images by identity: a path reloaded or replaced in the record
+// editor is a new image, and must not hit what the old one left behind
+const IMAGE_IDS = new WeakMap();
+let imageIdNext = 0;
+
+function imageId(img) {
+	if (!img) return null;
+	if (!IMAGE_IDS.has(img)) IMAGE_IDS.set(img, ++imageIdNext);
+	return IMAGE_IDS.get(img);
+}
@@ -0,0 +1,203 @@
+/* Department of Lost Circuits — stamp catalog
+   - Loaded after sketch.js: replaces its setup()/keyPressed() and reuses the
+     stamp renderers to draw every device on its own
+   - Filters: free-text search, category, region, manufacturer, rarity
+   - Downloads: RGB PNG at CATALOG_SCALE × print size, an editable SVG at
+     print size (svg.js, a group per element), one PNG per RISO plate at print
+     resolution (same plate colours as the sheet export)
+*/
+
+//// Catalog settings //////////////////////////////////////////////////////////
+const CATALOG_SCALE = 2; // RGB download size (2 = 600 ppi)
+const RARITY_LABELS = {
+	2: '★★ common',
+	3: '★★★ uncommon',
+	4: '★★★★ rare',
+	5: '★★★★★ very rare',
+};
+
+let stampW = 0,
+	stampH = 0; // one grid module in print px
+let frame = null; // stampFrame() of that module, at the canvas origin
+let catalogCards = []; // { d, el }
+
+//// SETUP (overrides sketch.js) ///////////////////////////////////////////////
+function setup() {
+	pixelDensity(1);
+	buildGrid();
+	const cell = grid.getModule(0, 0);
+	stampW = ceil(cell.width);
+	stampH = ceil(cell.height);
+	frame = { ...stampFrame(cell), x: 0, y: 0 };
+
+	// scratch canvas, big enough for the scaled RGB render
+	const cnv = createCanvas(stampW * CATALOG_SCALE, stampH * CATALOG_SCALE);
+	cnv.parent('stamp-canvas');
+
+	loadDevices(buildCatalog);
+	if (sheetReady()) buildCatalog(); // no images queued
+}
+
+function keyPressed() {
+	/* no sheet shortcuts here (the search box needs the keys) */
+}
+
+//// CARDS /////////////////////////////////////////////////////////////////////
+function buildCatalog() {
+	const list = select('#catalog-grid');
+	list.html('');
+	catalogCards = devices.map((d) => ({ d, el: makeCard(d) }));
+	for (const card of catalogCards) list.child(card.el);
+
+	fillFilterOptions();
+	for (const id of ['search', 'category', 'region', 'manufacturer', 'rarity'])
+		select(`#filter-${id}`).elt.addEventListener('input', applyFilters);
+	applyFilters();
+	renderThumbs();
+}
+
+function makeCard(d) {
+	const card = createDiv().addClass('stamp-card');
+	createImg('', d.name).addClass('stamp-thumb').parent(card);
+
+	const meta = createDiv().addClass('stamp-meta').parent(card);
+	createElement('h4', d.name).parent(meta);
+	createP(
+		[d.manufacturer, d.region, yearsLabel(d)].filter(Boolean).join(' • ')
+	).parent(meta);
+	createP(`${d.category || 'uncategorised'} — ${RARITY_LABELS[rarityStars(d)]}`)
+		.addClass('stamp-sub')
+		.parent(meta);
+
+	const actions = createDiv().addClass('stamp-actions').parent(card);
+	createButton('PNG')
+		.parent(actions)
+		.mousePressed(() => downloadStampRGB(d));
+	createButton('SVG')
+		.parent(actions)
+		.mousePressed(() => downloadStampSvg(d));
+	for (const plate of risoPlates())
+		createButton(plate.name)
+			.parent(actions)
+			.mousePressed(() => downloadStampPlate(d, plate.name));
+	return card;
+}
+
+// 1× previews, one per frame so the page stays responsive
+function renderThumbs() {
+	const queue = catalogCards.slice();
+	const next = () => {
+		const card = queue.shift();
+		if (!card) return;
+		renderStampRGB(card.d, 1);
+		const thumb = get(0, 0, stampW, stampH);
+		card.el.elt.querySelector('img').src = thumb.canvas.toDataURL();
+		requestAnimationFrame(next);
+	};
+	next();
+}
+
+//// FILTERS ///////////////////////////////////////////////////////////////////
+function fillFilterOptions() {
+	const distinct = (key) =>
+		[...new Set(devices.map((d) => d[key]).filter(Boolean))].sort((a, b) =>
+			a.localeCompare(b)
+		);
+	// categories by canonical key, so 'computer' and 'laptop' filter together
+	for (const key of distinct('category_key')) {
+		const opt = createElement('option', CATEGORY_TAXONOMY[key].label);
+		opt.attribute('value', key);
+		select('#filter-category').child(opt);
+	}
+	for (const key of ['region', 'manufacturer'])
+		for (const v of distinct(key))
+			select(`#filter-${key}`).child(createElement('option', v));
+
+	const rarity = select('#filter-rarity');
+	for (const stars of Object.keys(RARITY_LABELS)) {
+		const opt = createElement('option', RARITY_LABELS[stars]);
+		opt.attribute('value', stars);
+		rarity.child(opt);
+	}
+}
+
+function applyFilters() {
+	const q = select('#filter-search').value().trim().toLowerCase();
+	const want = {
+		category_key: select('#filter-category').value(),
+		region: select('#filter-region').value(),
+		manufacturer: select('#filter-manufacturer').value(),
+	};
+	const stars = select('#filter-rarity').value();
+
+	let shown = 0;
+	for (const { d, el } of catalogCards) {
+		const haystack = [
+			d.name,
+			d.manufacturer,
+			d.designer,
+			d.description,
+			d.category,
+			d.region,
+		]
+			.join(' ')
+			.toLowerCase();
+		const match =
+			(!q || haystack.includes(q)) &&
+			Object.keys(want).every((k) => !want[k] || d[k] === want[k]) &&
+			(!stars || rarityStars(d) === int(stars));
+		el.style('display', match ? '' : 'none');
+		if (match) shown++;
+	}
+	select('#catalog-count').html(`${shown} / ${catalogCards.length} stamps`);
+}
+
+//// SINGLE-STAMP RENDER + DOWNLOAD ////////////////////////////////////////////
+// Draws into the top-left of the scratch canvas with the sheet's seed
+function renderStampRGB(d, s) {
+	background(255);
+	seedStamp(d);
+	drawStamp(d, { ...frame, s: s * frame.s });
+}
+
+function downloadStampRGB(d) {
+	renderStampRGB(d, CATALOG_SCALE);
+	saveCanvas(stampFileName(d), 'png');
+}
+
+function downloadStampSvg(d) {
+	const layer = new SvgLayer();
+	seedStamp(d);
+	drawStampTo(() => layer, d, frame, false);
+	const svg = layer.toSvg({
+		width: stampW,
+		height: stampH,
+		ppi: PPI,
+		title: d.name,
+	});
+	downloadBytes(svg, `${stampFileName(d)}.svg`, 'image/svg+xml');
+}
+
+function downloadStampPlate(d, plateName) {
+	if (!ensureRisoLayers()) {
+		console.warn('p5.riso not loaded yet; plates unavailable.');
+		return;
+	}
+	beginRisoPass();
+	seedStamp(d);
+	drawStampRiso(d, frame);
+	risoSettled().then((current) => {
+		if (!current) return; // another download took the plates over
+		const plate = risoPlates().find((p) => p.name === plateName);
+		plate.layer
+			.get(0, 0, stampW, stampH)
+			.save(stampFileName(d, plateName), 'png');
+	});
+}
+
+// 'lost_circuits_stamp_sony-walkman-tps-l2' (+ '_TEAL' per plate; prefix =
+// dataset id)
+function stampFileName(d, plate) {
+	const slug = slugify(d.name);
+	return `${datasetId()}_stamp_${slug}${plate ? `_${plate}` : ''}`;
+}
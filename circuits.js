@@ -0,0 +1,347 @@
+/* Department of Lost Circuits — circuit boards
+   - The stamp background as a routed PCB: traces on a grid of pitch-spaced
+     nodes with 0° / 45° / 90° runs and 45° bends only. A node belongs to at
+     most one trace and diagonals can't cut another trace's diagonal, so
+     traces never cross. They end in vias or pads.
+   - Parts go down first (discrete components, DIP or QFP chips by era) and
+     traces fan out from their pins; wireless devices get an antenna
+     meander, wired ones an edge connector
+   - Keep-outs: the fitted photo, price seal, stars, badge and text block
+   - Era + connectivity pick pitch, trace count / weight, parts and link
+     through the circuit* rules in rules.json
+   - circuitBoard() routes from a per-device seed (same board on screen,
+     plates, PDF and catalog); drawCircuitBoard() draws it for both paths:
+     g = p5.instance (faint greys) or a plate / PdfLayer (ink). Strokes only.
+*/
+
+// grid steps, clockwise from east (y down): dir ± 1 is a 45° bend
+const CIRCUIT_DIRS = [
+	[1, 0],
+	[1, 1],
+	[0, 1],
+	[-1, 1],
+	[-1, 0],
+	[-1, -1],
+	[0, -1],
+	[1, -1],
+];
+const CIRCUIT_CLEAR = 6; // units between the board and a keep-out
+const CIRCUIT_TEXT_CLEAR = 56; // above the name line (ribbon / epigraph)
+const CIRCUIT_ROUTE_TRIES = 3; // start points per wanted trace
+const BLOCKED = -1; // cell value for keep-outs and part bodies
+
+// { pitch, weight, cols, rows, left, top, traces: [[x, y]…], vias, pads,
+//   pins, parts, fingers } in stamp units
+function circuitBoard(d, x, y, w, h) {
+	const rand = seededRandom(`${stampSeed(d)}::circuits::${d.id}`);
+	const pitch = ruleValue('circuitPitch', d);
+	const { ix, iy, iw } = getInnerFrame(x, y, w, h);
+	const bottom = y + h - TXT_BLOCK_BOTTOM - CIRCUIT_TEXT_CLEAR;
+	const cols = Math.floor((iw - pitch) / pitch) + 1,
+		rows = Math.max(Math.floor((bottom - iy - pitch) / pitch) + 1, 0);
+	const board = {
+		pitch,
+		weight: ruleValue('circuitWeight', d),
+		cols,
+		rows,
+		left: ix + (iw - (cols - 1) * pitch) / 2,
+		top: iy + pitch / 2,
+		cells: new Int16Array(cols * rows), // 0 free, BLOCKED, or trace id
+		starts: [], // { i, j, dir } pins traces fan out from
+		traces: [],
+		vias: [],
+		pads: [],
+		pins: [],
+		parts: [],
+		fingers: [],
+	};
+	blockKeepOuts(board, d, x, y, w, h);
+	placeLink(board, ruleValue('circuitLink', d), rand);
+	placeParts(board, ruleValue('circuitParts', d), rand);
+
+	const want = Math.round(ruleValue('circuitTraces', d) * stampCircuits(d));
+	for (let t = 0; t < want * CIRCUIT_ROUTE_TRIES; t++) {
+		if (board.traces.length >= want) break;
+		routeTrace(board, board.starts.shift() || randomStart(board, rand), rand);
+	}
+	return board;
+}
+
+function drawCircuitBoard(g, board, plate) {
+	const p = board.pitch;
+	g.push();
+	g.noFill();
+	g.stroke(0, plate ? 220 : 35);
+	g.strokeWeight(board.weight);
+	for (const pts of board.traces) {
+		g.beginShape();
+		for (const [px, py] of pts) g.vertex(px, py);
+		g.endShape();
+	}
+	for (const part of board.parts) {
+		const { x, y, w, h } = part;
+		g.rect(x, y, w, h, part.kind === 'discrete' ? p / 3 : 1);
+		if (part.kind === 'dip')
+			g.arc(x, y + h / 2, p * 0.6, p * 0.6, -HALF_PI, HALF_PI); // notch
+		else if (part.kind === 'qfp') g.circle(x + p / 2, y + p / 2, p / 4); // dot
+	}
+	for (const [px, py] of board.fingers)
+		g.rect(px - p * 0.3, py - p * 1.2, p * 0.6, p * 1.4, p * 0.15);
+	for (const [px, py] of board.vias) g.circle(px, py, p * 0.6);
+
+	// pads + pins: tiny circles / squares the stroke closes up
+	g.strokeWeight(board.weight + p * 0.25);
+	for (const [px, py] of board.pads) g.circle(px, py, p * 0.2);
+	for (const [px, py] of board.pins)
+		g.rect(px - p * 0.1, py - p * 0.1, p * 0.2, p * 0.2);
+	g.pop();
+}
+
+//// GRID //////////////////////////////////////////////////////////////////////
+function cellAt(board, i, j) {
+	if (i < 0 || j < 0 || i >= board.cols || j >= board.rows) return BLOCKED;
+	return board.cells[j * board.cols + i];
+}
+function setCell(board, i, j, v) {
+	if (i >= 0 && j >= 0 && i < board.cols && j < board.rows)
+		board.cells[j * board.cols + i] = v;
+}
+function nodeXY(board, i, j) {
+	return [board.left + i * board.pitch, board.top + j * board.pitch];
+}
+
+// photo, seal, stars and badge (the text block is below the last row)
+function blockKeepOuts(board, d, x, y, w, h) {
+	const { ix, iy, iw, ih } = getInnerFrame(x, y, w, h);
+	const rects = [];
+	const box = imageBox(d, x, y, w, h);
+	if (box) rects.push([box.cx, box.cy, box.drawW, box.drawH]);
+	if (d.availability_today) {
+		const stars = rarityStars(d);
+		const sx = ix + iw - 36 - stars * 12;
+		rects.push([sx, iy + STAR_Y_OFFSET - 6, stars * 12 + 12, 12]);
+	}
+	const bx = ix + iw - BADGE - 6,
+		by = iy + ih - BADGE - 6;
+	rects.push([bx, by, BADGE + 12, BADGE + 12]);
+	const seal = d.price_value
+		? [ix + iw - PRICE_D / 2, iy + PRICE_D / 2, PRICE_D / 2 + 3]
+		: null;
+
+	const c = CIRCUIT_CLEAR;
+	for (let j = 0; j < board.rows; j++)
+		for (let i = 0; i < board.cols; i++) {
+			const [px, py] = nodeXY(board, i, j);
+			const inRect = rects.some(
+				([rx, ry, rw, rh]) =>
+					px > rx - c && px < rx + rw + c && py > ry - c && py < ry + rh + c
+			);
+			const inSeal = seal && dist(px, py, seal[0], seal[1]) < seal[2] + c;
+			if (inRect || inSeal) setCell(board, i, j, BLOCKED);
+		}
+}
+
+// every cell in [i0, i1] × [j0, j1] is free
+function areaFree(board, i0, j0, i1, j1) {
+	for (let j = j0; j <= j1; j++)
+		for (let i = i0; i <= i1; i++) if (cellAt(board, i, j) !== 0) return false;
+	return true;
+}
+function blockArea(board, i0, j0, i1, j1) {
+	for (let j = j0; j <= j1; j++)
+		for (let i = i0; i <= i1; i++) setCell(board, i, j, BLOCKED);
+}
+
+//// PARTS /////////////////////////////////////////////////////////////////////
+// 'discrete' → two-pin components, 'dip' → dual in-line chips, 'qfp' → a
+// quad flat pack; each part tries a handful of spots, then gives up
+const CIRCUIT_PARTS = {
+	discrete: { count: 3, footprint: footprintDiscrete },
+	dip: { count: 2, footprint: footprintDip },
+	qfp: { count: 1, footprint: footprintQfp },
+};
+
+function placeParts(board, kind, rand) {
+	const plan = CIRCUIT_PARTS[kind];
+	if (!plan) return; // 'none'
+	for (let n = 0; n < plan.count; n++) {
+		const fp = plan.footprint(rand);
+		for (let tries = 0; tries < 30; tries++) {
+			const i0 = Math.floor(rand() * (board.cols - fp.cols)),
+				j0 = Math.floor(rand() * (board.rows - fp.rows));
+			// one free ring around the footprint so pins can escape
+			if (!areaFree(board, i0 - 1, j0 - 1, i0 + fp.cols, j0 + fp.rows))
+				continue;
+			addPart(board, kind, fp, i0, j0);
+			break;
+		}
+	}
+}
+
+// footprint in grid cells: size, body (cell units, inset) and pins with the
+// direction their trace leaves in
+function footprintDiscrete(rand) {
+	if (rand() < 0.5)
+		return {
+			cols: 4,
+			rows: 1,
+			body: [0.7, -0.3, 1.6, 0.6],
+			pins: [
+				[0, 0, 4],
+				[3, 0, 0],
+			],
+		};
+	return {
+		cols: 1,
+		rows: 4,
+		body: [-0.3, 0.7, 0.6, 1.6],
+		pins: [
+			[0, 0, 6],
+			[0, 3, 2],
+		],
+	};
+}
+function footprintDip(rand) {
+	const n = 4 + Math.floor(rand() * 4); // pins per side
+	const pins = [];
+	for (let k = 0; k < n; k++) pins.push([k, 0, 6], [k, 3, 2]);
+	return { cols: n, rows: 4, body: [-0.4, 0.6, n - 0.2, 1.8], pins };
+}
+function footprintQfp(rand) {
+	const n = 3 + Math.floor(rand() * 3); // pins per side
+	const pins = [];
+	for (let k = 1; k <= n; k++)
+		pins.push([k, 0, 6], [k, n + 1, 2], [0, k, 4], [n + 1, k, 0]);
+	const body = [0.6, 0.6, n - 0.2, n - 0.2];
+	return { cols: n + 2, rows: n + 2, body, pins };
+}
+
+function addPart(board, kind, fp, i0, j0) {
+	const p = board.pitch;
+	blockArea(board, i0, j0, i0 + fp.cols - 1, j0 + fp.rows - 1);
+	const [x0, y0] = nodeXY(board, i0, j0);
+	const [bx, by, bw, bh] = fp.body;
+	const [x, y] = [x0 + bx * p, y0 + by * p];
+	board.parts.push({ kind, x, y, w: bw * p, h: bh * p });
+	for (const [di, dj, dir] of fp.pins) {
+		board.pins.push(nodeXY(board, i0 + di, j0 + dj));
+		board.starts.push({ i: i0 + di, j: j0 + dj, dir, pin: true });
+	}
+}
+
+//// LINK (connectivity) ///////////////////////////////////////////////////////
+// 'antenna' → a meander trace, 'connector' → edge fingers along the top
+function placeLink(board, kind, rand) {
+	if (kind === 'antenna') placeAntenna(board, rand);
+	else if (kind === 'connector') placeConnector(board, rand);
+}
+
+function placeAntenna(board, rand) {
+	const run = 4,
+		turns = 3; // meander: run across, one down, run back …
+	const cols = run + 1,
+		rows = turns + 1;
+	for (let tries = 0; tries < 30; tries++) {
+		const i0 = Math.floor(rand() * (board.cols - cols)),
+			j0 = Math.floor(rand() * Math.min(board.rows - rows, board.rows / 3));
+		if (!areaFree(board, i0, j0, i0 + cols - 1, j0 + rows - 1)) continue;
+		const pts = [];
+		for (let k = 0; k < rows; k++) {
+			const a = nodeXY(board, i0 + (k % 2 ? run : 0), j0 + k),
+				b = nodeXY(board, i0 + (k % 2 ? 0 : run), j0 + k);
+			pts.push(a, b);
+		}
+		blockArea(board, i0, j0, i0 + cols - 1, j0 + rows - 1);
+		board.traces.push(pts);
+		board.pads.push(pts[0]);
+		return;
+	}
+}
+
+function placeConnector(board, rand) {
+	const n = 5 + Math.floor(rand() * 4);
+	for (let tries = 0; tries < 30; tries++) {
+		const i0 = Math.floor(rand() * (board.cols - n));
+		if (!areaFree(board, i0, 0, i0 + n - 1, 1)) continue;
+		for (let k = 0; k < n; k++) {
+			setCell(board, i0 + k, 0, BLOCKED);
+			board.fingers.push(nodeXY(board, i0 + k, 0));
+			board.starts.push({ i: i0 + k, j: 0, dir: 2, pin: true });
+		}
+		return;
+	}
+}
+
+//// ROUTING ///////////////////////////////////////////////////////////////////
+function randomStart(board, rand) {
+	return {
+		i: Math.floor(rand() * board.cols),
+		j: Math.floor(rand() * board.rows),
+		dir: Math.floor(rand() * 8),
+		pin: false,
+	};
+}
+
+// free node, and a diagonal doesn't cut between two nodes of another trace
+function canStep(board, i, j, dir) {
+	const [dx, dy] = CIRCUIT_DIRS[dir];
+	if (cellAt(board, i + dx, j + dy) !== 0) return false;
+	if (!dx || !dy) return true;
+	const a = cellAt(board, i + dx, j),
+		b = cellAt(board, i, j + dy);
+	return !(a > 0 && a === b);
+}
+
+// Walk from a pin (or a free node): straight runs, 45° bends, until blocked
+// or long enough; too-short walks are undone
+function routeTrace(board, start, rand) {
+	let { i, j, dir } = start;
+	if (!start.pin && cellAt(board, i, j) !== 0) return;
+	const id = board.traces.length + 1;
+	const path = [[i, j]];
+	if (!start.pin) setCell(board, i, j, id);
+
+	const maxLen = 6 + Math.floor(rand() * 22);
+	let run = 0,
+		runLen = 2 + Math.floor(rand() * 5);
+	while (path.length < maxLen) {
+		const side = rand() < 0.5 ? 1 : 7; // ±45°
+		const bends = [(dir + side) % 8, (dir + 8 - side) % 8];
+		const order = run < runLen ? [dir, ...bends] : [...bends, dir];
+		const next = order.find((nd) => canStep(board, i, j, nd));
+		if (next === undefined) break;
+		if (next !== dir) {
+			run = 0;
+			runLen = 2 + Math.floor(rand() * 5);
+		}
+		dir = next;
+		i += CIRCUIT_DIRS[dir][0];
+		j += CIRCUIT_DIRS[dir][1];
+		setCell(board, i, j, id);
+		path.push([i, j]);
+		run++;
+	}
+
+	if (path.length < 3) {
+		for (const [pi, pj] of path.slice(start.pin ? 1 : 0))
+			setCell(board, pi, pj, 0);
+		return;
+	}
+	board.traces.push(cornerPoints(board, path));
+	if (!start.pin) board.pads.push(nodeXY(board, ...path[0]));
+	const end = nodeXY(board, ...path[path.length - 1]);
+	if (rand() < 0.5) board.vias.push(end);
+	else board.pads.push(end);
+}
+
+// grid path → stamp-unit points at the ends and bends only
+function cornerPoints(board, path) {
+	const pts = [nodeXY(board, ...path[0])];
+	for (let k = 1; k < path.length - 1; k++) {
+		const [a, b, c] = [path[k - 1], path[k], path[k + 1]];
+		if (b[0] - a[0] !== c[0] - b[0] || b[1] - a[1] !== c[1] - b[1])
+			pts.push(nodeXY(board, ...b));
+	}
+	pts.push(nodeXY(board, ...path[path.length - 1]));
+	return pts;
+}
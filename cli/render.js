@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/* Department of Lost Circuits — headless sheet renderer
+   - Loads index.html in jsdom (node-canvas backed) and runs sketch.js unchanged
+   - Writes every sheet's RGB PNG plus one PNG per ink plate into one folder,
+     and optionally the print PDF (same as pressing P) and editable SVGs
+     (same as V), with a manifest of the exact parameters (share.js);
+     --manifest replays one
+   - Needs: npm install (jsdom, canvas, p5 pinned in package.json)
+   - Usage: node cli/render.js [--out renders] [--dataset lost_audio]
+            [--seed 1337] [--format a4]
+            [--inks duotone] [--dither bayer8] [--layout archival]
+            [--price local] [--no-plates]
+            [--pdf] [--svg] [--cut] [--perf 14]
+            [--manifest old_manifest.json]
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const READY_TIMEOUT = 60000; // ms to wait for CSV + images
+
+// CDN <script> tags in index.html → files from node_modules (no network here)
+const CDN_SCRIPTS = [[/\/p5(\.min)?\.js$/, 'p5/lib/p5.min.js']];
+
+// page console noise that only applies to file:// loading
+const QUIET = [/does not have a Content-Type header/];
+
+//// Args //////////////////////////////////////////////////////////////////////
+function parseArgs(argv) {
+	const opts = {
+		out: 'renders',
+		seed: null,
+		dataset: null,
+		format: null,
+		inks: null,
+		dither: null,
+		layout: null,
+		price: null,
+		plates: true,
+		pdf: false,
+		svg: false,
+		cut: false,
+		perf: null,
+		manifest: null,
+	};
+	for (let i = 0; i < argv.length; i++) {
+		const a = argv[i];
+		if (a === '--out' || a === '-o') opts.out = argv[++i];
+		else if (a === '--seed') opts.seed = parseInt(argv[++i], 10);
+		else if (a === '--dataset') opts.dataset = argv[++i];
+		else if (a === '--format') opts.format = argv[++i];
+		else if (a === '--inks') opts.inks = argv[++i];
+		else if (a === '--dither') opts.dither = argv[++i];
+		else if (a === '--layout') opts.layout = argv[++i];
+		else if (a === '--price') opts.price = argv[++i];
+		else if (a === '--no-plates') opts.plates = false;
+		else if (a === '--pdf') opts.pdf = true;
+		else if (a === '--svg') opts.svg = true;
+		else if (a === '--cut') opts.cut = true;
+		else if (a === '--perf') opts.perf = parseFloat(argv[++i]);
+		else if (a === '--manifest') opts.manifest = argv[++i];
+		else if (a === '--help' || a === '-h') opts.help = true;
+		else throw new Error(`Unknown option: ${a}`);
+	}
+	if (opts.seed !== null && isNaN(opts.seed))
+		throw new Error('--seed expects an integer');
+	if (opts.perf !== null && !(opts.perf > 0))
+		throw new Error('--perf expects a gauge, e.g. 12 or 14');
+	return opts;
+}
+
+function usage() {
+	console.log(
+		[
+			'Usage: node cli/render.js [options]',
+			'  -o, --out <dir>   output folder (default: renders)',
+			'  --dataset <id>    series from datasets.json (default: the first)',
+			'  --seed <n>        base seed (default: the sketch default, 1337)',
+			'  --format <spec>   sheet format: 8x10, letter, a4, a3, tabloid / 11x17',
+			'                    or WxH(in|mm)[@dpi], e.g. 210x297mm@600',
+			'  --inks <name>     ink separation: duotone (default), pink-stars,',
+			'                    yellow-seal, four-drum, photo-duo, photo-trio',
+			'  --dither <method> bayer4, bayer8 (default), blue-noise, floyd-steinberg,',
+			'                    atkinson, jjn, am-screen',
+			'  --layout <name>   stamp layout: classic (default), archival, poetic,',
+			'                    technical',
+			'  --price <mode>    price seal: local (default), usd, usd-today',
+			'  --no-plates       RGB sheets only, skip the RISO plates',
+			'  --pdf             also write <dataset>_sheets.pdf',
+			'  --svg             also write per-sheet editable SVGs (RGB + one per',
+			'                    plate unless --no-plates)',
+			'  --cut             also write per-sheet cut lines (_CUT.svg + _CUT.dxf)',
+			'  --perf <gauge>    perforation holes per 20 mm (default 14)',
+			'  --manifest <file> replay an export manifest (state + rules); other',
+			'                    options still override it',
+		].join('\n')
+	);
+}
+
+function requireDep(name) {
+	try {
+		return require(name);
+	} catch (err) {
+		console.error(
+			`Missing dependency "${name}" — run: npm install (see package.json)`
+		);
+		process.exit(1);
+	}
+}
+
+//// Page //////////////////////////////////////////////////////////////////////
+function openSketch() {
+	const { JSDOM, ResourceLoader, VirtualConsole } = requireDep('jsdom');
+	requireDep('canvas'); // jsdom picks it up for <canvas> + <img>
+
+	class LocalResourceLoader extends ResourceLoader {
+		fetch(url, options) {
+			for (const [re, mod] of CDN_SCRIPTS)
+				if (re.test(url)) return Promise.resolve(fs.readFileSync(require.resolve(mod)));
+			if (!url.startsWith('file:')) return null; // skip anything remote
+			return super.fetch(url, options);
+		}
+	}
+
+	const virtualConsole = new VirtualConsole();
+	for (const method of ['log', 'info', 'warn', 'error'])
+		virtualConsole.on(method, (...args) => {
+			if (!QUIET.some((re) => re.test(String(args[0])))) console[method](...args);
+		});
+	virtualConsole.on('jsdomError', (err) => console.error(err.message));
+
+	return JSDOM.fromFile(path.join(ROOT, 'index.html'), {
+		runScripts: 'dangerously',
+		resources: new LocalResourceLoader(),
+		pretendToBeVisual: true, // p5 needs requestAnimationFrame
+		virtualConsole,
+	});
+}
+
+function waitForSheet(window) {
+	const started = Date.now();
+	return new Promise((resolve, reject) => {
+		const poll = () => {
+			if (typeof window.sheetReady === 'function' && window.sheetReady())
+				return resolve();
+			if (Date.now() - started > READY_TIMEOUT)
+				return reject(new Error('Timed out waiting for devices.csv / images'));
+			setTimeout(poll, 50);
+		};
+		poll();
+	});
+}
+
+//// Output ////////////////////////////////////////////////////////////////////
+function writeFile(file, data) {
+	fs.writeFileSync(file, data);
+	console.log('wrote', path.relative(process.cwd(), file));
+}
+
+function writePng(canvasEl, file) {
+	const data = canvasEl.toDataURL('image/png').split(',')[1];
+	writeFile(file, Buffer.from(data, 'base64'));
+}
+
+async function main() {
+	const opts = parseArgs(process.argv.slice(2));
+	if (opts.help) return usage();
+
+	const outDir = path.resolve(opts.out);
+	fs.mkdirSync(outDir, { recursive: true });
+
+	const manifest = opts.manifest
+		? JSON.parse(fs.readFileSync(opts.manifest, 'utf8'))
+		: null;
+
+	const dom = await openSketch();
+	const { window } = dom;
+	try {
+		await waitForSheet(window);
+		window.noLoop();
+		const dataset = opts.dataset || (manifest && manifest.state.dataset);
+		if (dataset && dataset !== window.datasetId()) {
+			window.showDataset(dataset);
+			await waitForSheet(window); // its images
+		}
+		if (manifest) window.applySheetManifest(manifest);
+		if (opts.format) window.applySheetFormat(opts.format);
+		if (opts.seed !== null) window.reseed(opts.seed);
+		if (opts.perf !== null) window.setPerfGauge(opts.perf);
+		if (opts.inks) window.setSeparation(opts.inks);
+		if (opts.dither) window.setDitherMethod(opts.dither);
+		if (opts.layout) window.setStampLayout(opts.layout);
+		if (opts.price) window.setPriceSeal(opts.price);
+
+		const mainCanvas = window.document.querySelector('#canvas-container canvas');
+		const total = window.sheetCount();
+		for (let i = 0; i < total; i++) {
+			window.setRisoPreview(false);
+			window.showSheet(i);
+			writePng(mainCanvas, path.join(outDir, `${window.sheetFileName()}.png`));
+			if (opts.cut) {
+				const { svg, dxf } = window.buildSheetCutFiles();
+				const base = path.join(outDir, window.sheetFileName('CUT'));
+				writeFile(`${base}.svg`, svg);
+				writeFile(`${base}.dxf`, dxf);
+			}
+			if (opts.svg) {
+				writeFile(
+					path.join(outDir, `${window.sheetFileName()}.svg`),
+					window.buildSheetSvg()
+				);
+				if (opts.plates) {
+					const plates = window.buildPlateSvgs();
+					for (const ink in plates)
+						writeFile(
+							path.join(outDir, `${window.sheetFileName(ink)}.svg`),
+							plates[ink]
+						);
+				}
+			}
+
+			if (!opts.plates) continue;
+			if (!window.setRisoPreview(true)) {
+				console.warn('p5.riso not available — skipping plates');
+				opts.plates = false;
+				continue;
+			}
+			for (const plate of window.risoPlates())
+				writePng(
+					plate.layer.elt,
+					path.join(outDir, `${window.sheetFileName(plate.name)}.png`)
+				);
+		}
+
+		if (opts.pdf)
+			writeFile(
+				path.join(outDir, `${window.datasetId()}_sheets.pdf`),
+				Buffer.from(window.buildSheetPdf())
+			);
+		writeFile(
+			path.join(outDir, `${window.datasetId()}_manifest.json`),
+			JSON.stringify(window.sheetManifest([...Array(total).keys()]), null, 2)
+		);
+	} finally {
+		window.close();
+	}
+}
+
+main().catch((err) => {
+	console.error(err.message || err);
+	process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/* Department of Lost Circuits — dataset check before a print run
+   - Runs a dataset (CSV, JSON or YAML) through the same schema the page uses
+     (schema.js) and also checks every image_path exists on disk
+   - With no file given, checks every dataset listed in datasets.json
+   - Prints one line per problem and exits 1 if there are any
+   - No dependencies
+   - Usage: node cli/validate.js [devices.csv | lost.json | lost.yaml] [--json]
+*/
+
+const fs = require('fs');
+const path = require('path');
+const {
+	parseDeviceSource,
+	validateDevices,
+	formatIssue,
+} = require('../schema.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function parseArgs(argv) {
+	const opts = { sources: [], json: false };
+	for (const a of argv) {
+		if (a === '--json') opts.json = true;
+		else if (a === '--help' || a === '-h') opts.help = true;
+		else if (a.startsWith('-')) throw new Error(`Unknown option: ${a}`);
+		else opts.sources.push(path.resolve(a));
+	}
+	return opts;
+}
+
+// Every source in the manifest, resolved against the page
+function manifestSources() {
+	const manifest = JSON.parse(
+		fs.readFileSync(path.join(ROOT, 'datasets.json'), 'utf8')
+	);
+	return manifest.datasets.map((ds) => path.join(ROOT, ds.source));
+}
+
+// → issues for one dataset file
+function validateSource(file) {
+	// image paths are relative to the page, which sits in ROOT
+	const rows = parseDeviceSource(fs.readFileSync(file, 'utf8'), file);
+	const { records, issues } = validateDevices(rows, {
+		imageExists: (p) => fs.existsSync(path.resolve(ROOT, p)),
+	});
+	return { file, records, issues };
+}
+
+function main() {
+	const opts = parseArgs(process.argv.slice(2));
+	if (opts.help) {
+		console.log(
+			'Usage: node cli/validate.js [devices.csv | lost.json | lost.yaml] [--json]'
+		);
+		return;
+	}
+
+	const sources = opts.sources.length ? opts.sources : manifestSources();
+	const results = sources.map(validateSource);
+
+	if (opts.json) {
+		const byFile = results.map(({ file, issues }) => ({
+			source: path.relative(ROOT, file),
+			issues,
+		}));
+		console.log(JSON.stringify(byFile, null, 2));
+	} else
+		for (const { file, records, issues } of results) {
+			for (const issue of issues) console.log(formatIssue(issue));
+			console.log(
+				`${path.relative(process.cwd(), file)}: ${records.length} devices, ${
+					issues.length
+				} issue(s)`
+			);
+		}
+	process.exitCode = results.some((r) => r.issues.length) ? 1 : 0;
+}
+
+try {
+	main();
+} catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
@@ -0,0 +1,126 @@
+/* Department of Lost Circuits — cut / perforation layer
+   - Perforation holes run along the gutter centre lines around every stamp on
+     the sheet; gauge = holes per 20 mm (philatelic "perf 14" etc.)
+   - Kiss-cut outline = each stamp's grid module
+   - Exported as SVG (mm units, one group per operation) and DXF (R12, mm,
+     layers PERF + KISSCUT) for plotters / laser cutters
+*/
+
+const PERF_GAUGES = [10, 11, 12, 12.5, 13, 14, 15];
+const PERF_HOLE_MM = 1.0; // hole diameter
+const CUT_HAIRLINE_MM = 0.1; // SVG stroke width (most lasers: "hairline")
+
+// cells: the sheet's occupied grid modules ({ x, y, width, height }, px)
+function buildCutLayer(cells, { gutter, ppi, gauge }) {
+	const pxPerMm = ppi / 25.4;
+	const pitch = (20 / gauge) * pxPerMm;
+	const r = (PERF_HOLE_MM / 2) * pxPerMm;
+	const g = gutter / 2;
+
+	// each module edge pushed out to the gutter centre; shared edges once
+	const edges = new Map();
+	const addEdge = (x1, y1, x2, y2) => {
+		const key = [x1, y1, x2, y2].map((v) => Math.round(v)).join(',');
+		edges.set(key, [x1, y1, x2, y2]);
+	};
+	for (const c of cells) {
+		const l = c.x - g,
+			t = c.y - g,
+			rt = c.x + c.width + g,
+			b = c.y + c.height + g;
+		addEdge(l, t, rt, t);
+		addEdge(l, b, rt, b);
+		addEdge(l, t, l, b);
+		addEdge(rt, t, rt, b);
+	}
+
+	// evenly spaced holes, half a step in from each corner so edges that
+	// meet don't double up
+	const holes = [];
+	for (const [x1, y1, x2, y2] of edges.values()) {
+		const len = Math.hypot(x2 - x1, y2 - y1);
+		const n = Math.max(1, Math.round(len / pitch));
+		for (let i = 0; i < n; i++) {
+			const t = (i + 0.5) / n;
+			holes.push({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t, r });
+		}
+	}
+
+	const outlines = cells.map((c) => ({
+		x: c.x,
+		y: c.y,
+		w: c.width,
+		h: c.height,
+	}));
+	return { holes, outlines, gauge };
+}
+
+//// SVG ///////////////////////////////////////////////////////////////////////
+function cutLayerToSvg(cut, { width, height, ppi }) {
+	const mm = (px) => +((px / ppi) * 25.4).toFixed(3);
+	const hair = +((CUT_HAIRLINE_MM / 25.4) * ppi).toFixed(3);
+	const out = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${mm(width)}mm" height="${mm(
+			height
+		)}mm" viewBox="0 0 ${width} ${height}">`,
+		`<g id="perforation" data-gauge="${cut.gauge}" fill="none" stroke="#ff0000" stroke-width="${hair}">`,
+	];
+	for (const h of cut.holes)
+		out.push(
+			`<circle cx="${h.x.toFixed(2)}" cy="${h.y.toFixed(2)}" r="${h.r.toFixed(2)}"/>`
+		);
+	out.push(
+		'</g>',
+		`<g id="kiss-cut" fill="none" stroke="#0000ff" stroke-width="${hair}">`
+	);
+	for (const o of cut.outlines)
+		out.push(
+			`<rect x="${o.x.toFixed(2)}" y="${o.y.toFixed(2)}" width="${o.w.toFixed(
+				2
+			)}" height="${o.h.toFixed(2)}"/>`
+		);
+	out.push('</g>', '</svg>', '');
+	return out.join('\n');
+}
+
+//// DXF (R12, millimetres, y up) //////////////////////////////////////////////
+function cutLayerToDxf(cut, { height, ppi }) {
+	const mm = (px) => ((px / ppi) * 25.4).toFixed(4);
+	const flip = (py) => mm(height - py);
+	const out = [];
+	const put = (...pairs) => {
+		for (let i = 0; i < pairs.length; i += 2) out.push(pairs[i], pairs[i + 1]);
+	};
+	const layer = (name, color) =>
+		put(0, 'LAYER', 2, name, 70, 0, 62, color, 6, 'CONTINUOUS');
+	const line = (x1, y1, x2, y2) => {
+		put(0, 'LINE', 8, 'KISSCUT', 10, mm(x1), 20, flip(y1), 30, 0);
+		put(11, mm(x2), 21, flip(y2), 31, 0);
+	};
+
+	// R12 has no $INSUNITS (AutoCAD 2000+): the units go in a comment
+	put(999, 'Units: millimetres');
+	put(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1009', 0, 'ENDSEC');
+	put(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LAYER', 70, 2);
+	layer('PERF', 1); // red
+	layer('KISSCUT', 5); // blue
+	put(0, 'ENDTAB', 0, 'ENDSEC');
+
+	put(0, 'SECTION', 2, 'ENTITIES');
+	for (const h of cut.holes) {
+		put(0, 'CIRCLE', 8, 'PERF', 10, mm(h.x), 20, flip(h.y), 30, 0);
+		put(40, mm(h.r));
+	}
+	for (const o of cut.outlines) {
+		const pts = [
+			[o.x, o.y],
+			[o.x + o.w, o.y],
+			[o.x + o.w, o.y + o.h],
+			[o.x, o.y + o.h],
+		];
+		for (let i = 0; i < 4; i++) line(...pts[i], ...pts[(i + 1) % 4]);
+	}
+	put(0, 'ENDSEC', 0, 'EOF');
+	return out.join('\n') + '\n';
+}
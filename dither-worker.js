@@ -0,0 +1,19 @@
+/* Department of Lost Circuits — dithering worker
+   - Started by ditherPool() (dither.js); runs the pixel half of dither.js
+     (auto-levels + every method but the AM screen) off the main thread
+   - Message in: { id, pixels (RGBA ArrayBuffer), w, h, levels, method, opts };
+     out: { id, pixels, leveled } (1-bit RGBA, and the auto-levelled gray
+     when levels were given; buffers transferred back)
+*/
+
+importScripts('dither.js');
+
+onmessage = ({ data }) => {
+	const { id, w, h, levels, method, opts } = data;
+	let px = new Uint8ClampedArray(data.pixels);
+	if (levels) px = levelPixels(px, w, h, ...levels);
+	const out = ditherEntry(method).pixels(px, w, h, opts);
+	const leveled = levels ? px.buffer : null;
+	const transfer = leveled ? [out.buffer, leveled] : [out.buffer];
+	postMessage({ id, pixels: out.buffer, leveled }, transfer);
+};
@@ -0,0 +1,495 @@
+/* Department of Lost Circuits — dithering
+   - Every method takes a grayscale p5.Graphics (dark = ink) and returns a new
+     1-bit p5.Graphics the same size (0 = ink, 255 = paper, alpha kept)
+   - DITHERS registry: ordered (Bayer 4×4 / 8×8, blue-noise threshold),
+     error diffusion (Floyd–Steinberg, Atkinson, Jarvis-Judice-Ninke) and a
+     rotated AM screen built on p5.riso's halftoneImage
+   - Options: gain / bias for every method; lpi, angle, shape, dpi for AM
+   - Auto-levels and every method but the AM screen are plain pixel loops
+     (RGBA arrays in, RGBA arrays out), so dither-worker.js runs them off the
+     main thread; ditherInWorker() hands them a photo when workers can start
+*/
+
+// pixels(px, w, h, o) → RGBA array (workers can run it), or fn(pg, o) →
+// p5.Graphics for a method that needs p5 (main thread only)
+const DITHERS = {
+	bayer4: {
+		label: 'Bayer 4×4',
+		pixels: (px, w, h, o) => orderedDither(px, w, h, BAYER_4x4, o),
+	},
+	bayer8: {
+		label: 'Bayer 8×8',
+		pixels: (px, w, h, o) => orderedDither(px, w, h, BAYER_8x8, o),
+	},
+	'blue-noise': {
+		label: 'Blue noise',
+		pixels: (px, w, h, o) => orderedDither(px, w, h, blueNoiseMatrix(), o),
+	},
+	'floyd-steinberg': {
+		label: 'Floyd–Steinberg',
+		pixels: (px, w, h, o) =>
+			errorDiffusion(px, w, h, KERNEL_FLOYD_STEINBERG, 16, o),
+	},
+	atkinson: {
+		label: 'Atkinson',
+		pixels: (px, w, h, o) => errorDiffusion(px, w, h, KERNEL_ATKINSON, 8, o),
+	},
+	jjn: {
+		label: 'Jarvis-Judice-Ninke',
+		pixels: (px, w, h, o) => errorDiffusion(px, w, h, KERNEL_JJN, 48, o),
+	},
+	'am-screen': {
+		label: 'AM screen',
+		fn: (pg, o) => amScreen(pg, o),
+	},
+};
+
+let AM_LPI = 60; // screen ruling (lines per inch)
+let AM_ANGLE = 45; // degrees
+let AM_SHAPE = 'circle'; // circle | ellipse | square | line | cross
+
+// gray → 1-bit with the named method (falls back to bayer8)
+function ditherGray(pg, method, opts = {}) {
+	const entry = ditherEntry(method);
+	const o = { gain: 1, bias: 0, ...opts };
+	if (entry.fn) return entry.fn(pg, o);
+	pg.loadPixels();
+	return graphicsFromPixels(
+		entry.pixels(pg.pixels, pg.width, pg.height, o),
+		pg.width,
+		pg.height
+	);
+}
+// gray RGBA pixels → 1-bit p5.Image, same dots as ditherGray (photos on
+// the plates, see IMAGE_CACHE in cache.js)
+function ditheredImage(px, w, h, method, opts = {}) {
+	const entry = ditherEntry(method);
+	const o = { gain: 1, bias: 0, ...opts };
+	if (entry.pixels) return imageFromPixels(entry.pixels(px, w, h, o), w, h);
+	const pg = graphicsFromPixels(px, w, h);
+	const out = entry.fn(pg, o);
+	const img = out.get();
+	pg.remove();
+	out.remove();
+	return img;
+}
+function ditherEntry(method) {
+	return DITHERS[method] || DITHERS.bayer8;
+}
+// Everything a method's dots depend on besides the pixels (cache keys)
+function ditherParams(method, opts = {}) {
+	const name = DITHERS[method] ? method : 'bayer8';
+	const am = name === 'am-screen' ? [AM_LPI, AM_ANGLE, AM_SHAPE] : null;
+	return [name, { gain: 1, bias: 0, ...opts }, am];
+}
+
+// RGBA array → a new p5.Graphics (1 px per pixel)
+function graphicsFromPixels(px, w, h) {
+	const out = createGraphics(w, h);
+	out.pixelDensity(1);
+	out.loadPixels();
+	out.pixels.set(px);
+	out.updatePixels();
+	return out;
+}
+// RGBA array → a new p5.Image (no canvas on the page)
+function imageFromPixels(px, w, h) {
+	const img = createImage(w, h);
+	img.loadPixels();
+	img.pixels.set(px);
+	img.updatePixels();
+	return img;
+}
+
+function ditherLevel(v, o) {
+	v = v * o.gain + o.bias;
+	return v < 0 ? 0 : v > 255 ? 255 : v;
+}
+
+//// Auto-levels (before dithering) //////////////////////////////////////////
+// Alpha-aware: clip low/high percentiles of the opaque pixels' luminance,
+// convert to grayscale, apply gamma
+function autoLevelsGray(pg, clipLow = 0.05, clipHigh = 0.95, gamma = 1.0) {
+	pg.loadPixels();
+	return graphicsFromPixels(
+		levelPixels(pg.pixels, pg.width, pg.height, clipLow, clipHigh, gamma),
+		pg.width,
+		pg.height
+	);
+}
+
+function levelPixels(px, w, h, clipLow = 0.05, clipHigh = 0.95, gamma = 1.0) {
+	// luminance histogram over opaque pixels only
+	const hist = new Uint32Array(256);
+	let opaqueCount = 0;
+	for (let i = 0; i < w * h; i++) {
+		const idx = i * 4;
+		const a = px[idx + 3];
+		if (a > 8) {
+			// ignore fully/near-transparent pixels
+			const r = px[idx],
+				g = px[idx + 1],
+				b = px[idx + 2];
+			const lum = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+			hist[lum]++;
+			opaqueCount++;
+		}
+	}
+
+	const out = new Uint8ClampedArray(w * h * 4);
+	// if everything is transparent, just return a transparent image
+	if (opaqueCount === 0) return out;
+
+	// cumulative
+	const cdf = new Uint32Array(256);
+	let sum = 0;
+	for (let i = 0; i < 256; i++) {
+		sum += hist[i];
+		cdf[i] = sum;
+	}
+
+	const loTarget = Math.max(
+		0,
+		Math.min(opaqueCount - 1, Math.floor(opaqueCount * clipLow))
+	);
+	const hiTarget = Math.max(
+		0,
+		Math.min(opaqueCount - 1, Math.floor(opaqueCount * clipHigh))
+	);
+
+	// find cutoffs
+	let lo = 0,
+		hi = 255;
+	while (lo < 256 && cdf[lo] <= loTarget) lo++;
+	while (hi >= 0 && cdf[hi] >= hiTarget) hi--;
+	if (hi <= lo) {
+		lo = 0;
+		hi = 255;
+	} // fallback
+
+	const scale = 255 / (hi - lo);
+	for (let i = 0; i < w * h; i++) {
+		const idx = i * 4;
+		const a = px[idx + 3];
+
+		// keep transparent pixels transparent and white
+		if (a <= 8) {
+			out[idx] = 255;
+			out[idx + 1] = 255;
+			out[idx + 2] = 255;
+			out[idx + 3] = 0;
+			continue;
+		}
+
+		const r = px[idx],
+			g = px[idx + 1],
+			b = px[idx + 2];
+		let lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+		// levels
+		let v = (lum - lo) * scale;
+		if (v < 0) v = 0;
+		else if (v > 255) v = 255;
+
+		// gamma (in [0..1] space)
+		v = Math.pow(v / 255, gamma) * 255;
+
+		const val = Math.round(v);
+		out[idx] = val;
+		out[idx + 1] = val;
+		out[idx + 2] = val;
+		out[idx + 3] = a; // preserve original alpha
+	}
+	return out;
+}
+
+//// Ordered (threshold matrix) ////////////////////////////////////////////////
+const BAYER_4x4 = [
+	[0, 8, 2, 10],
+	[12, 4, 14, 6],
+	[3, 11, 1, 9],
+	[15, 7, 13, 5],
+];
+
+const BAYER_8x8 = [
+	[0, 32, 8, 40, 2, 34, 10, 42],
+	[48, 16, 56, 24, 50, 18, 58, 26],
+	[12, 44, 4, 36, 14, 46, 6, 38],
+	[60, 28, 52, 20, 62, 30, 54, 22],
+	[3, 35, 11, 43, 1, 33, 9, 41],
+	[51, 19, 59, 27, 49, 17, 57, 25],
+	[15, 47, 7, 39, 13, 45, 5, 37],
+	[63, 31, 55, 23, 61, 29, 53, 21],
+];
+
+function orderedDither(px, w, h, matrix, o) {
+	const n = matrix.length;
+	const denom = n * n;
+	const out = new Uint8ClampedArray(w * h * 4);
+	for (let y = 0; y < h; y++) {
+		for (let x = 0; x < w; x++) {
+			const idx = 4 * (y * w + x);
+			const v = ditherLevel(px[idx], o);
+			const t = ((matrix[y % n][x % n] + 0.5) / denom) * 255;
+			const outV = v > t ? 255 : 0;
+
+			out[idx] = outV;
+			out[idx + 1] = outV;
+			out[idx + 2] = outV;
+			out[idx + 3] = px[idx + 3];
+		}
+	}
+	return out;
+}
+
+// Void-and-cluster threshold matrix (Ulichney '93), built once. Uses its own
+// PRNG so the stamps' seeded random() sequence is untouched.
+let BLUE_NOISE = null;
+function blueNoiseMatrix(size = 64, sigma = 1.5) {
+	if (BLUE_NOISE) return BLUE_NOISE;
+	const n = size * size;
+
+	// toroidal gaussian energy kernel
+	const kernel = new Float32Array(n);
+	for (let y = 0; y < size; y++)
+		for (let x = 0; x < size; x++) {
+			const dx = Math.min(x, size - x),
+				dy = Math.min(y, size - y);
+			kernel[y * size + x] = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+		}
+	const splat = (energy, i, sign) => {
+		const ix = i % size,
+			iy = (i / size) | 0;
+		for (let y = 0; y < size; y++) {
+			const ky = ((y - iy + size) % size) * size;
+			for (let x = 0; x < size; x++)
+				energy[y * size + x] += sign * kernel[ky + ((x - ix + size) % size)];
+		}
+	};
+	// tightest cluster (max energy among 1s) / largest void (min among 0s)
+	const extreme = (energy, bits, want) => {
+		let best = -1;
+		for (let i = 0; i < n; i++) {
+			if (bits[i] !== want) continue;
+			if (
+				best < 0 ||
+				(want ? energy[i] > energy[best] : energy[i] < energy[best])
+			)
+				best = i;
+		}
+		return best;
+	};
+
+	// initial binary pattern: ~10% ones, relaxed until stable
+	let seed = 0x2f6b1e3d;
+	const rand = () => {
+		seed = (seed * 1664525 + 1013904223) >>> 0;
+		return seed / 4294967296;
+	};
+	const bits = new Uint8Array(n);
+	const energy = new Float32Array(n);
+	let ones = 0;
+	while (ones < n / 10) {
+		const i = Math.floor(rand() * n);
+		if (bits[i]) continue;
+		bits[i] = 1;
+		splat(energy, i, 1);
+		ones++;
+	}
+	for (let iter = 0; iter < n; iter++) {
+		const c = extreme(energy, bits, 1);
+		bits[c] = 0;
+		splat(energy, c, -1);
+		const v = extreme(energy, bits, 0);
+		bits[v] = 1;
+		splat(energy, v, 1);
+		if (v === c) break;
+	}
+
+	const rank = new Uint16Array(n);
+	// phase 1: peel the initial pattern, tightest cluster first
+	const peel = bits.slice(),
+		peelEnergy = energy.slice();
+	for (let r = ones - 1; r >= 0; r--) {
+		const c = extreme(peelEnergy, peel, 1);
+		peel[c] = 0;
+		splat(peelEnergy, c, -1);
+		rank[c] = r;
+	}
+	// phase 2+3: fill the largest void until every cell is ranked
+	for (let r = ones; r < n; r++) {
+		const v = extreme(energy, bits, 0);
+		bits[v] = 1;
+		splat(energy, v, 1);
+		rank[v] = r;
+	}
+
+	BLUE_NOISE = [];
+	for (let y = 0; y < size; y++)
+		BLUE_NOISE.push(Array.from(rank.subarray(y * size, (y + 1) * size)));
+	return BLUE_NOISE;
+}
+
+//// Error diffusion (serpentine) //////////////////////////////////////////////
+// [dx, dy, weight] — dx mirrors on right-to-left rows
+const KERNEL_FLOYD_STEINBERG = [
+	[1, 0, 7],
+	[-1, 1, 3],
+	[0, 1, 5],
+	[1, 1, 1],
+];
+const KERNEL_ATKINSON = [
+	[1, 0, 1],
+	[2, 0, 1],
+	[-1, 1, 1],
+	[0, 1, 1],
+	[1, 1, 1],
+	[0, 2, 1],
+]; // /8: only 6/8 of the error spreads → crisper highlights
+const KERNEL_JJN = [
+	[1, 0, 7],
+	[2, 0, 5],
+	[-2, 1, 3],
+	[-1, 1, 5],
+	[0, 1, 7],
+	[1, 1, 5],
+	[2, 1, 3],
+	[-2, 2, 1],
+	[-1, 2, 3],
+	[0, 2, 5],
+	[1, 2, 3],
+	[2, 2, 1],
+];
+
+function errorDiffusion(px, w, h, kernel, denom, o) {
+	const buf = new Float32Array(w * h);
+	for (let i = 0; i < w * h; i++) buf[i] = ditherLevel(px[i * 4], o);
+
+	const out = new Uint8ClampedArray(w * h * 4);
+	for (let y = 0; y < h; y++) {
+		const dir = y % 2 ? -1 : 1;
+		for (let k = 0; k < w; k++) {
+			const x = dir > 0 ? k : w - 1 - k;
+			const i = y * w + x;
+			const outV = buf[i] > 127 ? 255 : 0;
+			const err = (buf[i] - outV) / denom;
+			for (const [dx, dy, wt] of kernel) {
+				const nx = x + dx * dir,
+					ny = y + dy;
+				if (nx >= 0 && nx < w && ny < h) buf[ny * w + nx] += err * wt;
+			}
+			const idx = i * 4;
+			out[idx] = outV;
+			out[idx + 1] = outV;
+			out[idx + 2] = outV;
+			out[idx + 3] = px[idx + 3];
+		}
+	}
+	return out;
+}
+
+//// AM screen (p5.riso halftoneImage) /////////////////////////////////////////
+// o.dpi = device px per inch of pg, so o.lpi is a true screen ruling.
+// halftoneImage rotates inside a 2× canvas, which clips the corners of long
+// images — so screen a white-padded square and crop back.
+function amScreen(pg, o) {
+	const w = pg.width,
+		h = pg.height,
+		side = Math.max(w, h);
+	const ox = Math.floor((side - w) / 2),
+		oy = Math.floor((side - h) / 2);
+
+	const square = createGraphics(side, side);
+	square.pixelDensity(1);
+	square.background(255);
+	square.loadPixels();
+	pg.loadPixels();
+	for (let y = 0; y < h; y++)
+		for (let x = 0; x < w; x++) {
+			const v = ditherLevel(pg.pixels[4 * (y * w + x)], o);
+			const idx = 4 * ((y + oy) * side + x + ox);
+			square.pixels[idx] = square.pixels[idx + 1] = square.pixels[idx + 2] = v;
+		}
+	square.updatePixels();
+
+	const cell = Math.max(2, Math.round((o.dpi || 300) / (o.lpi || AM_LPI)));
+	const screened = halftoneImage(
+		square,
+		o.shape || AM_SHAPE,
+		cell,
+		radians(o.angle ?? AM_ANGLE),
+		128
+	);
+	square.remove();
+
+	const out = createGraphics(w, h);
+	out.pixelDensity(1);
+	out.image(screened.get(ox, oy, w, h), 0, 0);
+	return out;
+}
+
+//// Workers (dither-worker.js) ////////////////////////////////////////////////
+// Started on first use, only where workers can load dither-worker.js (the
+// page served over http: not file://, not jsdom). Until then, or if they
+// fail, callers dither on the main thread.
+const DITHER_WORKER_COUNT = 2;
+let DITHER_POOL = null; // { workers, jobs: id → { worker, resolve, reject } }
+
+function ditherPool() {
+	if (DITHER_POOL !== null) return DITHER_POOL;
+	DITHER_POOL = false;
+	if (typeof Worker === 'undefined' || !/^https?:$/.test(location.protocol))
+		return false;
+	const pool = { workers: [], jobs: new Map(), next: 0, id: 0 };
+	for (let i = 0; i < DITHER_WORKER_COUNT; i++) {
+		const worker = new Worker('dither-worker.js');
+		worker.onmessage = ({ data }) => {
+			const job = pool.jobs.get(data.id);
+			pool.jobs.delete(data.id);
+			job.resolve({
+				pixels: new Uint8ClampedArray(data.pixels),
+				leveled: data.leveled && new Uint8ClampedArray(data.leveled),
+			});
+		};
+		// a worker that can't load or run: fail its jobs, stop handing out more
+		worker.onerror = (e) => {
+			DITHER_POOL = false;
+			for (const [id, job] of pool.jobs) {
+				if (job.worker !== worker) continue;
+				pool.jobs.delete(id);
+				job.reject(new Error(`Dither worker failed: ${e.message}`));
+			}
+		};
+		pool.workers.push(worker);
+	}
+	return (DITHER_POOL = pool);
+}
+
+// true if ditherInWorker() can take this method now
+function canDitherInWorker(method) {
+	return !!ditherPool() && !!ditherEntry(method).pixels;
+}
+
+// RGBA pixels (transferred: px is unusable afterwards) → promise of
+// { pixels: 1-bit RGBA, leveled }. levels = [clipLow, clipHigh, gamma]
+// auto-levels first, and leveled is that gray (else null).
+function ditherInWorker(px, w, h, { levels = null, method, opts = {} }) {
+	const pool = ditherPool();
+	const worker = pool.workers[pool.next++ % pool.workers.length];
+	const id = ++pool.id;
+	return new Promise((resolve, reject) => {
+		pool.jobs.set(id, { worker, resolve, reject });
+		worker.postMessage(
+			{
+				id,
+				pixels: px.buffer,
+				w,
+				h,
+				levels,
+				method,
+				opts: { gain: 1, bias: 0, ...opts },
+			},
+			[px.buffer]
+		);
+	});
+}
@@ -0,0 +1,504 @@
+/* Department of Lost Circuits — device record editor
+   - Add, edit and delete rows of the current dataset from the footer; every
+     edit re-validates (schema.js) and redraws the sheet holding that stamp,
+     with a close-up of it next to the form
+   - Dropped photos are scaled down, cut out (background flood-filled to
+     transparent from the edges) and trimmed, then named assets/<name>.png
+   - Drafts are kept in IndexedDB per dataset until discarded; Export CSV
+     downloads a clean devices.csv plus every photo added here
+*/
+
+const EDITOR_PREVIEW_MS = 200; // debounce between typing and the redraw
+const EDITOR_SAVE_MS = 1000; // debounce between typing and the draft save
+const EDITOR_DB = 'lost-circuits';
+const EDITOR_STORE = 'drafts'; // dataset id → { rows, columns, images, … }
+const CUTOUT_TOLERANCE = 36; // RGB distance from the edge colour = background
+const CUTOUT_MAX_SIDE = 1400; // px, uploads are scaled down like assets/
+const CUTOUT_PAD = 0.03; // margin kept around the trimmed object (× its size)
+
+// Columns edited in a textarea
+const EDITOR_LONG_FIELDS = [
+	'description',
+	'reason_for_obsolescence',
+	'notable_feature',
+	'afterlife',
+	'material_components',
+];
+
+let editorRows = []; // rows being edited (column → raw string)
+let editorColumns = []; // export order: source columns, then schema extras
+let editorDataset = ''; // dataset id the rows belong to
+let editorImages = {}; // image_path → PNG Blob added in the editor
+let editorSelected = 0; // index into editorRows
+let editorFields = {}; // column → p5 input
+let editorUI = null; // { picker, preview, cutout, status }
+let editorPreviewTimer = null,
+	editorSaveTimer = null;
+let draftDb = null; // Promise<IDBDatabase>, opened on first use
+
+//// Rows //////////////////////////////////////////////////////////////////////
+// Start over from the current dataset as loaded, then from its draft if any
+function loadRecordEditor() {
+	if (!editorUI) return;
+	flushDraftSave();
+	editorDataset = datasetId();
+	editorRows = deviceRows.map((row) =>
+		Object.fromEntries(
+			Object.entries(row).map(([k, v]) => [k, v == null ? '' : String(v)])
+		)
+	);
+	const columns = deviceRows.length ? Object.keys(deviceRows[0]) : [];
+	editorColumns = [...new Set([...columns, ...Object.keys(DEVICE_SCHEMA)])];
+	editorImages = {};
+	editorSelected = 0;
+	refreshEditor();
+
+	const id = editorDataset;
+	loadDraft(id)
+		.then((draft) => draft && id === editorDataset && restoreDraft(draft))
+		.catch((err) => editorStatus(`Draft not loaded (${err.message})`));
+}
+
+async function restoreDraft(draft) {
+	await Promise.all(
+		Object.entries(draft.images).map(([path, blob]) =>
+			useEditorImage(path, blob)
+		)
+	);
+	editorRows = draft.rows;
+	editorColumns = draft.columns;
+	editorSelected = max(0, min(draft.selected, editorRows.length - 1));
+	useDeviceRows(editorRows, scheduleEditorPreview);
+	refreshEditor();
+	scheduleEditorPreview();
+	editorStatus(`Draft from ${new Date(draft.saved).toLocaleString()}`);
+}
+
+// Edited rows → devices + data report, redraw, save the draft
+function applyEditorRows() {
+	useDeviceRows(editorRows, scheduleEditorPreview);
+	markEditorIssues();
+	scheduleEditorPreview();
+	scheduleDraftSave();
+}
+
+function editField(col, value) {
+	const row = editorRows[editorSelected];
+	if (!row) return;
+	row[col] = value;
+	if (col === 'name') {
+		const option = editorUI.picker.elt.options[editorSelected];
+		option.textContent = recordLabel(row, editorSelected);
+	}
+	applyEditorRows();
+}
+
+function newDeviceRecord() {
+	editorRows.push(Object.fromEntries(editorColumns.map((c) => [c, ''])));
+	editorSelected = editorRows.length - 1;
+	refreshEditor();
+	applyEditorRows();
+}
+
+function deleteDeviceRecord(i) {
+	if (!editorRows[i]) return;
+	editorRows.splice(i, 1);
+	editorSelected = max(0, min(i, editorRows.length - 1));
+	refreshEditor();
+	applyEditorRows();
+}
+
+function recordLabel(row, i) {
+	return String(row.name || '').trim() || `(new device ${i + 1})`;
+}
+
+//// Images ////////////////////////////////////////////////////////////////////
+// Photo → cutout → assets/<name>.png on the selected row
+function dropEditorImage(file) {
+	const row = editorRows[editorSelected];
+	if (!row) return;
+	editorStatus(`Cutting out ${file.name}…`);
+	cutoutImage(file, editorUI.cutout.checked())
+		.then((blob) => {
+			const path = editorImagePath(row);
+			return useEditorImage(path, blob).then(() => {
+				row.image_path = path;
+				editorFields.image_path.value(path);
+				applyEditorRows();
+				editorStatus(`${path} added — Export CSV saves it`);
+			});
+		})
+		.catch((err) => editorStatus(`Image failed: ${err.message}`));
+}
+
+// 'assets/sony-walkman.png', numbered if another row already uses the name
+function editorImagePath(row) {
+	const base = slugify(row.name) || `device-${editorSelected + 1}`;
+	const taken = (p) => editorRows.some((r) => r !== row && r.image_path === p);
+	let path = `assets/${base}.png`;
+	for (let n = 2; taken(path); n++) path = `assets/${base}-${n}.png`;
+	return path;
+}
+
+// Blob → images[path] (what the stamp renderers draw)
+function useEditorImage(path, blob) {
+	const url = URL.createObjectURL(blob);
+	return new Promise((resolve, reject) =>
+		loadImage(
+			url,
+			(img) => {
+				URL.revokeObjectURL(url);
+				images[path] = img;
+				editorImages[path] = blob;
+				resolve(img);
+			},
+			() => reject(new Error(`could not decode ${path}`))
+		)
+	);
+}
+
+// Photo file → trimmed PNG Blob, optionally with the background cut out
+async function cutoutImage(file, removeBackground = true) {
+	const bitmap = await createImageBitmap(file);
+	const k = min(1, CUTOUT_MAX_SIDE / max(bitmap.width, bitmap.height));
+	const src = document.createElement('canvas');
+	src.width = round(bitmap.width * k);
+	src.height = round(bitmap.height * k);
+	const ctx = src.getContext('2d');
+	ctx.drawImage(bitmap, 0, 0, src.width, src.height);
+
+	const px = ctx.getImageData(0, 0, src.width, src.height);
+	if (removeBackground) cutoutBackground(px);
+	const box = opaqueBounds(px);
+	if (!box) throw new Error('nothing left after background removal');
+	ctx.putImageData(px, 0, 0);
+
+	const pad = round(CUTOUT_PAD * max(box.w, box.h));
+	const out = document.createElement('canvas');
+	out.width = box.w + pad * 2;
+	out.height = box.h + pad * 2;
+	out
+		.getContext('2d')
+		.drawImage(src, box.x, box.y, box.w, box.h, pad, pad, box.w, box.h);
+	return new Promise((resolve, reject) =>
+		out.toBlob(
+			(blob) => (blob ? resolve(blob) : reject(new Error('PNG encode failed'))),
+			'image/png'
+		)
+	);
+}
+
+// Flood-fill from the edges over pixels close to the edge colour (median of
+// the border) → alpha 0; pixels just past the tolerance are feathered
+function cutoutBackground({ data, width: w, height: h }) {
+	const border = [];
+	for (let x = 0; x < w; x++) border.push(x, (h - 1) * w + x);
+	for (let y = 1; y < h - 1; y++) border.push(y * w, y * w + w - 1);
+	const opaque = border.filter((i) => data[i * 4 + 3] > 127);
+	if (opaque.length < border.length / 2) return; // already cut out
+
+	const median = (c) => {
+		const v = opaque.map((i) => data[i * 4 + c]).sort((a, b) => a - b);
+		return v[v.length >> 1];
+	};
+	const bg = [median(0), median(1), median(2)];
+	const distance = (i) =>
+		Math.hypot(
+			data[i * 4] - bg[0],
+			data[i * 4 + 1] - bg[1],
+			data[i * 4 + 2] - bg[2]
+		);
+
+	const seen = new Uint8Array(w * h);
+	const stack = border.slice();
+	while (stack.length) {
+		const i = stack.pop();
+		if (seen[i]) continue;
+		seen[i] = 1;
+		const d = distance(i);
+		if (d > CUTOUT_TOLERANCE) {
+			// edge of the object: fade instead of a hard halo
+			const a = constrain((d - CUTOUT_TOLERANCE) / CUTOUT_TOLERANCE, 0, 1);
+			data[i * 4 + 3] = min(data[i * 4 + 3], a * 255);
+			continue;
+		}
+		data[i * 4 + 3] = 0;
+		const x = i % w;
+		if (x > 0) stack.push(i - 1);
+		if (x < w - 1) stack.push(i + 1);
+		if (i >= w) stack.push(i - w);
+		if (i < w * (h - 1)) stack.push(i + w);
+	}
+}
+
+// Bounding box of the visible pixels → { x, y, w, h } or null
+function opaqueBounds({ data, width: w, height: h }) {
+	let x0 = w,
+		y0 = h,
+		x1 = -1,
+		y1 = -1;
+	for (let y = 0; y < h; y++)
+		for (let x = 0; x < w; x++)
+			if (data[(y * w + x) * 4 + 3] > 16) {
+				x0 = min(x0, x);
+				x1 = max(x1, x);
+				y0 = min(y0, y);
+				y1 = max(y1, y);
+			}
+	return x1 < 0 ? null : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+//// Export ////////////////////////////////////////////////////////////////////
+// Trimmed cells in source column order, plus every photo added here
+function exportEditorCsv() {
+	const rows = editorRows.map((row) =>
+		Object.fromEntries(
+			editorColumns.map((c) => [c, String(row[c] ?? '').trim()])
+		)
+	);
+	const name = editorCsvName();
+	downloadBytes(formatCsv(editorColumns, rows), name, 'text/csv');
+
+	const added = new Set(rows.map((r) => r.image_path));
+	for (const path of added)
+		if (editorImages[path])
+			downloadBytes(editorImages[path], path.split('/').pop(), 'image/png');
+	editorStatus(`Exported ${name} — replace the file, photos go in assets/`);
+}
+
+// 'devices.csv' for CSV sources, '<dataset id>.csv' for JSON / YAML ones
+function editorCsvName() {
+	const ds = DATASETS[datasetIndex];
+	if (ds && /\.csv$/i.test(ds.source)) return ds.source.split('/').pop();
+	return `${datasetId()}.csv`;
+}
+
+//// Drafts (IndexedDB) ////////////////////////////////////////////////////////
+function openDraftDb() {
+	if (!draftDb)
+		draftDb = new Promise((resolve, reject) => {
+			if (typeof indexedDB === 'undefined')
+				return reject(new Error('no IndexedDB'));
+			const req = indexedDB.open(EDITOR_DB, 1);
+			req.onupgradeneeded = () => req.result.createObjectStore(EDITOR_STORE);
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		});
+	return draftDb;
+}
+
+// One request on the drafts store → Promise of its result
+function draftRequest(mode, fn) {
+	return openDraftDb().then(
+		(db) =>
+			new Promise((resolve, reject) => {
+				const tx = db.transaction(EDITOR_STORE, mode);
+				const req = fn(tx.objectStore(EDITOR_STORE));
+				req.onsuccess = () => resolve(req.result);
+				req.onerror = () => reject(req.error);
+			})
+	);
+}
+
+function loadDraft(id) {
+	return draftRequest('readonly', (store) => store.get(id));
+}
+
+function saveDraft(id = editorDataset) {
+	const used = new Set(editorRows.map((r) => r.image_path));
+	const draft = {
+		rows: editorRows,
+		columns: editorColumns,
+		images: Object.fromEntries(
+			Object.entries(editorImages).filter(([path]) => used.has(path))
+		),
+		selected: editorSelected,
+		saved: Date.now(),
+	};
+	return draftRequest('readwrite', (store) => store.put(draft, id))
+		.then(() => editorStatus(`Draft saved ${new Date().toLocaleTimeString()}`))
+		.catch((err) => editorStatus(`Draft not saved (${err.message})`));
+}
+
+function scheduleDraftSave() {
+	clearTimeout(editorSaveTimer);
+	editorSaveTimer = setTimeout(() => {
+		editorSaveTimer = null;
+		saveDraft();
+	}, EDITOR_SAVE_MS);
+}
+
+// Save a pending draft now (before the rows are swapped for another dataset)
+function flushDraftSave() {
+	if (!editorSaveTimer) return;
+	clearTimeout(editorSaveTimer);
+	editorSaveTimer = null;
+	saveDraft();
+}
+
+// Drop the draft and go back to the dataset file (and its images)
+function discardDraft() {
+	clearTimeout(editorSaveTimer);
+	editorSaveTimer = null;
+	for (const path of Object.keys(editorImages)) delete images[path];
+	draftRequest('readwrite', (store) => store.delete(editorDataset))
+		.catch(() => {}) // nothing stored, or no IndexedDB
+		.then(() => {
+			loadDevices(drawSheet);
+			loadRecordEditor();
+			drawSheet();
+			editorStatus('Draft discarded');
+		});
+}
+
+//// Preview ///////////////////////////////////////////////////////////////////
+function scheduleEditorPreview() {
+	clearTimeout(editorPreviewTimer);
+	editorPreviewTimer = setTimeout(previewEditedStamp, EDITOR_PREVIEW_MS);
+}
+
+// Redraw the sheet holding the selected stamp, copy that stamp into the form
+function previewEditedStamp() {
+	const perSheet = COLS * ROWS;
+	const i = editorSelected;
+	if (i < devices.length) sheetIndex = floor(i / perSheet);
+	drawSheet();
+
+	const canvas = editorUI.preview.elt;
+	const ctx = canvas.getContext('2d');
+	ctx.clearRect(0, 0, canvas.width, canvas.height);
+	if (!sheetReady() || i >= devices.length) return;
+	const idx = i % perSheet;
+	const cell = grid.getModule(idx % COLS, floor(idx / COLS));
+	canvas.height = round((cell.height * canvas.width) / cell.width);
+	ctx.drawImage(
+		drawingContext.canvas,
+		cell.x,
+		cell.y,
+		cell.width,
+		cell.height,
+		0,
+		0,
+		canvas.width,
+		canvas.height
+	);
+}
+
+//// UI ////////////////////////////////////////////////////////////////////////
+function setupRecordEditor() {
+	const root = select('#record-editor');
+	if (!root) return;
+
+	const bar = createDiv().addClass('editor-bar').parent(root);
+	const picker = createSelect().parent(bar);
+	picker.changed(() => {
+		editorSelected = int(picker.value());
+		refreshEditor();
+		scheduleEditorPreview();
+	});
+	const button = (label, fn) =>
+		createButton(label).parent(bar).mousePressed(fn);
+	button('New', newDeviceRecord);
+	button('Delete', () => deleteDeviceRecord(editorSelected));
+	button('Export CSV', exportEditorCsv);
+	button('Discard draft', discardDraft);
+	const status = createSpan('').addClass('editor-status').parent(bar);
+
+	const form = createDiv().addClass('editor-form').parent(root);
+	const categories = createElement('datalist').id('editor-categories');
+	categories.parent(form);
+	for (const c of DEVICE_CATEGORIES)
+		createElement('option').attribute('value', c).parent(categories);
+
+	for (const [col, spec] of Object.entries(DEVICE_SCHEMA)) {
+		const row = createElement('label').addClass('editor-row').parent(form);
+		createSpan(`${col.replace(/_/g, ' ')}${spec.required ? ' *' : ''}`).parent(
+			row
+		);
+		let input;
+		if (EDITOR_LONG_FIELDS.includes(col))
+			input = createElement('textarea').parent(row);
+		else if (col === 'dither') {
+			input = createSelect().parent(row);
+			input.option('(sheet default)', '');
+			for (const method of Object.keys(DITHERS)) input.option(method);
+		} else input = createInput('').parent(row);
+		if (col === 'category') input.attribute('list', 'editor-categories');
+
+		// image paths load on commit, not on every keystroke
+		const commit = () => editField(col, input.value());
+		if (col === 'image_path' || col === 'dither') input.changed(commit);
+		else input.input(commit);
+		editorFields[col] = input;
+	}
+
+	const side = createDiv().addClass('editor-side').parent(root);
+	const preview = createElement('canvas').addClass('editor-preview');
+	preview.parent(side);
+	preview.elt.width = 240;
+	const drop = createDiv('Drop a photo here, or click to choose')
+		.addClass('editor-drop')
+		.parent(side);
+	const file = createFileInput((f) => dropEditorImage(f.file));
+	file.attribute('accept', 'image/*');
+	file.parent(side).hide();
+	drop.mousePressed(() => file.elt.click());
+	drop.dragOver(() => drop.addClass('dragging'));
+	drop.dragLeave(() => drop.removeClass('dragging'));
+	drop.drop(
+		(f) => dropEditorImage(f.file),
+		() => drop.removeClass('dragging')
+	);
+	const cutout = createCheckbox('Remove background', true).parent(side);
+
+	// opening the editor picks up the sheet on screen
+	root.elt.closest('details').addEventListener('toggle', (e) => {
+		if (!e.target.open) return;
+		const perSheet = COLS * ROWS;
+		const first = sheetIndex * perSheet;
+		if (floor(editorSelected / perSheet) !== sheetIndex && editorRows[first]) {
+			editorSelected = first;
+			refreshEditor();
+		}
+		scheduleEditorPreview();
+	});
+
+	editorUI = { picker, preview, cutout, status };
+	loadRecordEditor();
+}
+
+// Picker + fields → the selected row
+function refreshEditor() {
+	const { picker } = editorUI;
+	picker.html('');
+	editorRows.forEach((row, i) => {
+		const opt = createElement('option', recordLabel(row, i));
+		opt.attribute('value', i);
+		picker.child(opt);
+	});
+	picker.value(editorSelected);
+
+	const row = editorRows[editorSelected];
+	for (const [col, input] of Object.entries(editorFields)) {
+		input.value(row ? row[col] ?? '' : '');
+		if (row) input.removeAttribute('disabled');
+		else input.attribute('disabled', '');
+	}
+	markEditorIssues();
+}
+
+// Schema issues of the selected row on its fields (hover for the message)
+function markEditorIssues() {
+	for (const input of Object.values(editorFields))
+		input.removeClass('invalid').removeAttribute('title');
+	const line = editorSelected + 2; // validateDevices counts the CSV header
+	for (const issue of dataReport.issues) {
+		const input = editorFields[issue.field];
+		if (issue.row !== line || !input) continue;
+		input.addClass('invalid').attribute('title', issue.message);
+	}
+}
+
+function editorStatus(message) {
+	if (editorUI) editorUI.status.html(message);
+}
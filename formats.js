@@ -0,0 +1,77 @@
+/* Department of Lost Circuits — sheet formats
+   - Named presets (8x10, letter, a4, a3, tabloid / 11x17) or custom sizes:
+     '210x297mm', '11x17in@600', 'a4@600' (default 300 dpi)
+   - The grid fits as many stamps as the printable area holds at the original
+     stamp size; modules then stretch to fill the page, and sketch.js scales
+     stamp content with them
+*/
+
+const MM_PER_IN = 25.4;
+const FORMAT_DPI = 300; // default print resolution
+const FORMAT_STAMP_IN = [392 / 300, 655 / 300]; // original 8×10 module, inches
+const FORMAT_MARGIN_IN = 1 / 3; // page edge → grid (100 px @ 300 dpi)
+const FORMAT_GUTTER_IN = 0.2; // between stamps (60 px @ 300 dpi)
+
+// sizes in inches (portrait)
+const SHEET_FORMATS = {
+	'8x10': { label: '8 × 10 in', width: 8, height: 10 },
+	letter: { label: 'US Letter', width: 8.5, height: 11 },
+	a4: { label: 'A4', width: 210 / MM_PER_IN, height: 297 / MM_PER_IN },
+	a3: { label: 'A3', width: 297 / MM_PER_IN, height: 420 / MM_PER_IN },
+	tabloid: { label: 'Tabloid (11 × 17 in)', width: 11, height: 17 },
+};
+const SHEET_FORMAT_ALIASES = { '11x17': 'tabloid', '8x10in': '8x10' };
+
+// 'a4@600' / '8.5x11in' / '210x297mm@300' → px dimensions + grid
+function parseSheetFormat(spec) {
+	const raw = String(spec || '').trim().toLowerCase();
+	const [name, dpiRaw] = raw.split('@');
+	const dpi = dpiRaw ? parseFloat(dpiRaw) : FORMAT_DPI;
+	if (!(dpi > 0)) throw new Error(`Bad DPI in sheet format "${spec}"`);
+
+	const id = SHEET_FORMAT_ALIASES[name] || name;
+	let size = SHEET_FORMATS[id];
+	if (!size) {
+		const m = name.match(/^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)(in|mm)?$/);
+		if (!m)
+			throw new Error(
+				`Unknown sheet format "${spec}" — use ${Object.keys(
+					SHEET_FORMATS
+				).join(', ')} or WxH(in|mm)[@dpi]`
+			);
+		const unit = m[3] === 'mm' ? 1 / MM_PER_IN : 1;
+		size = {
+			label: `${m[1]} × ${m[2]} ${m[3] || 'in'}`,
+			width: parseFloat(m[1]) * unit,
+			height: parseFloat(m[2]) * unit,
+		};
+	}
+
+	// the printable area must hold at least one stamp
+	const minW = FORMAT_STAMP_IN[0] + FORMAT_MARGIN_IN * 2,
+		minH = FORMAT_STAMP_IN[1] + FORMAT_MARGIN_IN * 2;
+	if (size.width < minW - 1e-6 || size.height < minH - 1e-6)
+		throw new Error(
+			`Sheet format "${spec}" is too small — one stamp needs ${minW.toFixed(
+				2
+			)} × ${minH.toFixed(2)} in`
+		);
+
+	const fit = (pageIn, stampIn) =>
+		Math.floor(
+			(pageIn - FORMAT_MARGIN_IN * 2 + FORMAT_GUTTER_IN) /
+				(stampIn + FORMAT_GUTTER_IN) +
+				1e-6
+		);
+	return {
+		id: dpiRaw ? `${id}@${dpi}` : id, // aliases resolved, '11x17' → 'tabloid'
+		label: dpiRaw ? `${size.label} @ ${dpi} dpi` : size.label,
+		dpi,
+		width: Math.round(size.width * dpi),
+		height: Math.round(size.height * dpi),
+		cols: fit(size.width, FORMAT_STAMP_IN[0]),
+		rows: fit(size.height, FORMAT_STAMP_IN[1]),
+		margin: Math.round(FORMAT_MARGIN_IN * dpi),
+		gutter: Math.round(FORMAT_GUTTER_IN * dpi),
+	};
+}
@@ -0,0 +1,498 @@
+/* Department of Lost Circuits — stamp layouts
+   - STAMP_LAYOUTS registry: how the text block under the image is set.
+     'classic' is the original block; the others also bring in the
+     designer, description, notable feature, afterlife, materials,
+     connectivity and units sold
+   - Shared pieces keep them consistent: name block (as classic), afterlife
+     epigraph, design credit, materials ribbon, connectivity glyphs
+   - Selectable per sheet ('T') like dithering; default STAMP_LAYOUT
+   - Every layout draws once for every render target: the main canvas
+     (greys) or a plate / PdfLayer (solid ink, no paper fills)
+*/
+
+const STAMP_LAYOUTS = {
+	classic: {
+		label: 'Classic (region, form factor, reason)',
+		draw: layoutClassic,
+	},
+	archival: {
+		label: 'Archival (materials ribbon, design credit, links)',
+		draw: layoutArchival,
+	},
+	poetic: {
+		label: 'Poetic (afterlife epigraph, description)',
+		draw: layoutPoetic,
+	},
+	technical: {
+		label: 'Technical (spec table)',
+		draw: layoutTechnical,
+	},
+};
+
+let STAMP_LAYOUT = 'classic'; // default for every sheet
+let SHEET_LAYOUT = {}; // sheet index → layout, cycled with 'T'
+
+// connectivity text → glyphs, in this order (every match is drawn)
+const LINK_GLYPHS = [
+	{ kind: 'none', match: /\bnone\b|power only/i, draw: glyphNone },
+	{ kind: 'wifi', match: /wi-?fi/i, draw: glyphWifi },
+	{ kind: 'bluetooth', match: /bluetooth/i, draw: glyphBluetooth },
+	{ kind: 'infrared', match: /infrared/i, draw: glyphInfrared },
+	{ kind: 'cellular', match: /cellular|\b[2-5]g\b|dect/i, draw: glyphCellular },
+	{
+		kind: 'radio',
+		match: /\b(am|fm|rf)\b|radio|antenna|network/i,
+		draw: glyphRadio,
+	},
+	{ kind: 'usb', match: /usb/i, draw: glyphUsb },
+	{
+		kind: 'video',
+		match: /video|composite|rgb|a\/v|\btv\b/i,
+		draw: glyphVideo,
+	},
+	{
+		kind: 'audio',
+		match: /audio|headphone|line in|microphone/i,
+		draw: glyphAudio,
+	},
+	{
+		kind: 'media',
+		match: /cassette|cartridge|floppy|\bcd\b|optical|disc|card|tape|memory stick/i,
+		draw: glyphMedia,
+	},
+	{
+		kind: 'port',
+		match: /serial|parallel|pcmcia|scsi|firewire|ethernet|modem|rj11|landline|link cable|port|printer|i\/o|cradle/i,
+		draw: glyphPort,
+	},
+];
+const LINK_GLYPH_SIZE = 10; // base units
+const LINK_GLYPH_MAX = 5;
+
+// Layout of the current sheet (per-sheet pick beats the default)
+function sheetLayout() {
+	return SHEET_LAYOUT[sheetIndex] || STAMP_LAYOUT;
+}
+
+// Text block of one stamp in the sheet's layout (the 'text' stamp element)
+function drawStampText(g, d, x, y, w, h, look) {
+	const layout = STAMP_LAYOUTS[sheetLayout()] || STAMP_LAYOUTS.classic;
+	g.push();
+	g.noStroke();
+	layout.draw(g, d, layoutBox(x, y, w, h, look.plate));
+	g.pop();
+}
+
+// Shared geometry: name line (as classic), text widths, badge-safe edges
+function layoutBox(x, y, w, h, plate) {
+	const { ix, iw } = getInnerFrame(x, y, w, h);
+	return {
+		cx: x + w / 2,
+		baseY: y + h - TXT_BLOCK_BOTTOM,
+		maxW: w - 70, // full width, as classic
+		lowW: w - (BADGE + 30) * 2, // centred lines level with the badge
+		left: ix + 10,
+		right: ix + iw - BADGE - 12, // table rows stop short of the badge
+		plate,
+		tone: (v) => (plate ? 0 : v), // greys on screen, solid ink on plates
+	};
+}
+
+//// Layouts ///////////////////////////////////////////////////////////////////
+// Name, years, region • maker, form factor, reason (≤3 lines)
+function layoutClassic(g, d, b) {
+	layoutName(g, d, b);
+
+	g.textStyle(NORMAL);
+	g.textSize(TXT_YEARS);
+	const yrs =
+		!isNaN(d.release_year) && !isNaN(d.discontinued)
+			? `${d.release_year}–${d.discontinued}`
+			: !isNaN(d.release_year)
+			? `${d.release_year}`
+			: '';
+	g.text(yrs, b.cx, b.baseY + 46);
+
+	g.textSize(TXT_META);
+	g.fill(b.tone(30));
+	const region = d.region || '',
+		mfg = d.manufacturer || '';
+	g.text(
+		region && mfg ? `${region} • ${mfg}` : region || mfg,
+		b.cx,
+		b.baseY + 64
+	);
+
+	g.textSize(TXT_FORM);
+	g.textStyle(ITALIC);
+	g.fill(b.tone(50));
+	if (d.form_factor) g.text(d.form_factor, b.cx, b.baseY + 82);
+
+	g.textStyle(NORMAL);
+	g.textSize(TXT_REASON);
+	g.fill(b.tone(60));
+	if (!d.reason_for_obsolescence) return;
+	const words = d.reason_for_obsolescence.trim().split(/\s+/);
+	const maxLines = 3;
+	let lines = [],
+		cur = '';
+	for (let i = 0; i < words.length; i++) {
+		const test = cur ? cur + ' ' + words[i] : words[i];
+		if (g.textWidth(test) <= b.maxW) cur = test;
+		else {
+			lines.push(cur);
+			cur = words[i];
+			if (lines.length === maxLines - 1) break;
+		}
+	}
+	if (lines.length < maxLines && cur) lines.push(cur);
+	g.textAlign(CENTER, TOP);
+	for (let i = 0; i < lines.length; i++)
+		g.text(lines[i], b.cx, b.baseY + 98 + i * TXT_REASON_LINE_GAP);
+}
+
+// Museum label: materials ribbon, name, years · units, credit, origin, links
+function layoutArchival(g, d, b) {
+	layoutRibbon(g, d.material_components, b.cx, b.baseY - 32, b.maxW, b);
+	layoutName(g, d, b);
+
+	g.textAlign(CENTER, CENTER);
+	g.textStyle(NORMAL);
+	g.textSize(TXT_YEARS);
+	g.fill(b.tone(0));
+	const units = unitsLabel(d);
+	const made = [yearsLabel(d), units].filter(Boolean).join(' · ');
+	g.text(made, b.cx, b.baseY + 46);
+
+	g.textSize(TXT_META);
+	g.textStyle(ITALIC);
+	g.fill(b.tone(30));
+	g.text(fitLines(g, designCredit(d), b.maxW)[0] || '', b.cx, b.baseY + 64);
+
+	g.textSize(TXT_FORM);
+	g.textStyle(NORMAL);
+	g.fill(b.tone(50));
+	const origin = [d.region, d.form_factor].filter(Boolean).join(' • ');
+	g.text(fitLines(g, origin, b.maxW)[0] || '', b.cx, b.baseY + 80);
+
+	layoutGlyphs(g, d, b.cx, b.baseY + 100, CENTER, b);
+}
+
+// Afterlife as an epigraph over the name, description + notable feature
+function layoutPoetic(g, d, b) {
+	layoutEpigraph(g, d.afterlife, b.cx, b.baseY - 40, b.maxW, b);
+	layoutName(g, d, b);
+
+	g.textAlign(CENTER, CENTER);
+	g.textStyle(NORMAL);
+	g.textSize(TXT_YEARS);
+	g.fill(b.tone(0));
+	g.text(yearsLabel(d), b.cx, b.baseY + 46);
+
+	g.textSize(TXT_META - 1);
+	g.textStyle(ITALIC);
+	g.fill(b.tone(40));
+	fitLines(g, d.description, b.maxW, 2).forEach((line, i) =>
+		g.text(line, b.cx, b.baseY + 64 + i * TXT_REASON_LINE_GAP)
+	);
+
+	if (d.notable_feature) {
+		g.textSize(TXT_REASON);
+		g.textStyle(NORMAL);
+		g.fill(b.tone(60));
+		const line = fitLines(g, `— ${d.notable_feature}`, b.lowW)[0];
+		g.text(line, b.cx, b.baseY + 96);
+	}
+}
+
+// Spec sheet: name, then label / value rows
+function layoutTechnical(g, d, b) {
+	layoutName(g, d, b);
+
+	const rows = [
+		['MFR', [d.manufacturer, d.region].filter(Boolean).join(', ')],
+		['DESIGN', d.designer],
+		['MADE', [yearsLabel(d), unitsLabel(d)].filter(Boolean).join(' · ')],
+		['LINK', d.connectivity],
+		['BUILD', d.material_components],
+	];
+	const labelW = 46,
+		gap = TXT_REASON_LINE_GAP;
+	let y = b.baseY + 36;
+	for (const [label, value] of rows) {
+		if (!value) continue;
+		g.textAlign(LEFT, CENTER);
+		g.textSize(TXT_REASON - 2);
+		g.textStyle(BOLD);
+		g.fill(b.tone(0));
+		g.text(label, b.left, y);
+
+		let vx = b.left + labelW;
+		if (label === 'LINK') vx = layoutGlyphs(g, d, vx, y, LEFT, b) + 4;
+		g.noStroke();
+		g.textAlign(LEFT, CENTER);
+		g.textSize(TXT_REASON);
+		g.textStyle(NORMAL);
+		g.fill(b.tone(40));
+		g.text(fitLines(g, value, b.right - vx)[0] || '', vx, y);
+		y += gap;
+	}
+}
+
+//// Shared pieces /////////////////////////////////////////////////////////////
+// Name block exactly as classic (1–2 lines)
+function layoutName(g, d, b) {
+	g.textAlign(CENTER, CENTER);
+	g.fill(b.tone(0));
+	g.textStyle(BOLD);
+	g.textSize(TXT_NAME_1);
+	const nameLines = wrapText(d.name, b.maxW, TXT_NAME_1);
+	g.textSize(TXT_NAME_1);
+	g.text(nameLines[0], b.cx, b.baseY);
+	if (nameLines.length > 1) {
+		g.textSize(TXT_NAME_2);
+		g.text(nameLines[1], b.cx, b.baseY + 22);
+	}
+}
+
+// Name → 1–2 lines at TXT_NAME_1, bold (measured on the main canvas, so
+// every target wraps it alike, whatever text style the canvas was left in)
+function wrapText(str, maxW, sizePx) {
+	push();
+	textStyle(BOLD);
+	textSize(sizePx || TXT_NAME_1);
+	const words = str.split(/\s+/);
+	let line1 = '',
+		line2 = '',
+		split = false;
+	if (textWidth(str) <= maxW) line1 = str;
+	else
+		for (let w of words) {
+			const t = line1 ? line1 + ' ' + w : w;
+			if (!split && textWidth(t) <= maxW) line1 = t;
+			else {
+				split = true;
+				line2 += (line2 ? ' ' : '') + w;
+			}
+		}
+	pop();
+	return line2 ? [line1, line2] : [line1];
+}
+
+// Micro-text quote, ≤2 lines, centred on (cx, y)
+function layoutEpigraph(g, str, cx, y, maxW, b) {
+	if (!str) return;
+	g.textAlign(CENTER, CENTER);
+	g.textStyle(ITALIC);
+	g.textSize(TXT_REASON - 2);
+	g.fill(b.tone(70));
+	const lines = fitLines(g, `“${str.trim()}”`, maxW * 0.8, 2);
+	const lead = TXT_REASON;
+	lines.forEach((line, i) =>
+		g.text(line, cx, y + (i - (lines.length - 1) / 2) * lead)
+	);
+}
+
+// Swallowtail band with the materials in capitals
+function layoutRibbon(g, str, cx, y, w, b) {
+	if (!str) return;
+	const h = 14,
+		notch = 5,
+		x0 = cx - w / 2,
+		x1 = cx + w / 2;
+	g.push();
+	g.stroke(b.tone(0));
+	g.strokeWeight(1);
+	if (b.plate) g.noFill();
+	else g.fill(STAMP_BG);
+	g.beginShape();
+	g.vertex(x0, y - h / 2);
+	g.vertex(x1, y - h / 2);
+	g.vertex(x1 - notch, y);
+	g.vertex(x1, y + h / 2);
+	g.vertex(x0, y + h / 2);
+	g.vertex(x0 + notch, y);
+	g.endShape(CLOSE);
+
+	g.noStroke();
+	g.fill(b.tone(20));
+	g.textAlign(CENTER, CENTER);
+	g.textStyle(NORMAL);
+	g.textSize(TXT_REASON - 3);
+	const label = fitLines(g, str.toUpperCase(), w - notch * 2 - 12)[0];
+	g.text(label, cx, y);
+	g.pop();
+}
+
+// One glyph per kind of link, from x (align LEFT) or centred on it; returns
+// the right edge
+function layoutGlyphs(g, d, x, y, align, b) {
+	const kinds = linkGlyphs(d);
+	const s = LINK_GLYPH_SIZE,
+		step = s + 5;
+	const total = kinds.length ? kinds.length * step - 5 : 0;
+	let gx = align === CENTER ? x - total / 2 : x;
+	g.push();
+	g.noFill();
+	g.stroke(b.tone(30));
+	g.strokeWeight(1);
+	for (const glyph of kinds) {
+		glyph.draw(g, gx + s / 2, y, s);
+		gx += step;
+	}
+	g.pop();
+	return gx - (kinds.length ? 5 : 0);
+}
+
+function linkGlyphs(d) {
+	const links = d.connectivity || '';
+	const kinds = LINK_GLYPHS.filter((gl) => gl.match.test(links));
+	return kinds.slice(0, LINK_GLYPH_MAX);
+}
+
+//// Text helpers ////////////////////////////////////////////////////////////
+// Words → ≤ maxLines lines no wider than maxW at g's text size; cut text
+// ends in '…'
+function fitLines(g, str, maxW, maxLines = 1) {
+	const words = String(str || '')
+		.trim()
+		.split(/\s+/)
+		.filter(Boolean);
+	const lines = [];
+	let cur = '';
+	for (const word of words) {
+		const test = cur ? `${cur} ${word}` : word;
+		if (!cur || g.textWidth(test) <= maxW) cur = test;
+		else {
+			lines.push(cur);
+			cur = word;
+		}
+	}
+	if (cur) lines.push(cur);
+
+	const last = maxLines - 1;
+	const cut = lines.length > maxLines || g.textWidth(lines[last] || '') > maxW;
+	if (!cut) return lines;
+	const kept = lines.slice(0, maxLines);
+	let tail = kept[last];
+	while (tail && g.textWidth(`${tail}…`) > maxW)
+		tail = tail.slice(0, -1).trimEnd();
+	kept[last] = `${tail.replace(/[,;:.\s]+$/, '')}…`;
+	return kept;
+}
+
+// '1961–1964', or '1978' when it didn't outlive its launch year
+function yearsLabel(d) {
+	if (isNaN(d.release_year)) return '';
+	return d.discontinued > d.release_year
+		? `${d.release_year}–${d.discontinued}`
+		: String(d.release_year);
+}
+
+// '~50K made', '~16.5M discs' (the unit the CSV counts, if it names one)
+function unitsLabel(d) {
+	if (!d.units_sold) return '';
+	const n = d.units_sold;
+	const count =
+		n >= 1e6
+			? `${+(n / 1e6).toFixed(1)}M`
+			: n >= 1e3
+			? `${+(n / 1e3).toFixed(1)}K`
+			: String(n);
+	const unit = (d.units_sold_raw || '')
+		.replace(/^[~\s]*[\d,.]+\s*(k|m|million|billion)?\b/i, '')
+		.trim();
+	return `~${count} ${unit || 'made'}`;
+}
+
+// 'Designed by Dieter Rams for Braun', 'Sony Design', ''
+function designCredit(d) {
+	const who = (d.designer || '').trim();
+	if (!who) return '';
+	const mfg = (d.manufacturer || '').trim();
+	const credit = /design/i.test(who) ? who : `Designed by ${who}`;
+	const house = mfg.split(/[\s/,]+/)[0].toLowerCase();
+	return mfg && !who.toLowerCase().includes(house)
+		? `${credit} for ${mfg}`
+		: credit;
+}
+
+//// Connectivity glyphs (stroke only, centred on x, y, s wide) ///////////////
+function glyphNone(g, x, y, s) {
+	g.circle(x, y, s);
+	g.line(x - s * 0.35, y + s * 0.35, x + s * 0.35, y - s * 0.35);
+}
+
+function glyphWifi(g, x, y, s) {
+	for (let k = 1; k <= 3; k++) {
+		const r = s * 0.33 * k;
+		g.arc(x, y + s * 0.4, r, r, PI + QUARTER_PI, TWO_PI - QUARTER_PI);
+	}
+}
+
+function glyphBluetooth(g, x, y, s) {
+	g.beginShape();
+	g.vertex(x - s * 0.3, y - s * 0.25);
+	g.vertex(x + s * 0.3, y + s * 0.25);
+	g.vertex(x, y + s * 0.5);
+	g.vertex(x, y - s * 0.5);
+	g.vertex(x + s * 0.3, y - s * 0.25);
+	g.vertex(x - s * 0.3, y + s * 0.25);
+	g.endShape();
+}
+
+function glyphInfrared(g, x, y, s) {
+	g.circle(x - s * 0.3, y, s * 0.35);
+	for (const a of [-0.5, 0, 0.5])
+		g.line(x - s * 0.05, y + s * 0.5 * a, x + s * 0.5, y + s * 0.9 * a);
+}
+
+function glyphCellular(g, x, y, s) {
+	for (let i = 0; i < 4; i++) {
+		const bx = x - s * 0.4 + i * s * 0.27;
+		g.line(bx, y + s * 0.5, bx, y + s * 0.5 - (i + 1) * s * 0.25);
+	}
+}
+
+function glyphRadio(g, x, y, s) {
+	g.line(x, y - s * 0.15, x - s * 0.25, y + s * 0.5);
+	g.line(x, y - s * 0.15, x + s * 0.25, y + s * 0.5);
+	for (const r of [s * 0.5, s])
+		for (const a of [0, PI])
+			g.arc(x, y - s * 0.15, r, r, a - QUARTER_PI, a + QUARTER_PI);
+}
+
+function glyphUsb(g, x, y, s) {
+	g.line(x, y + s * 0.5, x, y - s * 0.35);
+	const head = s * 0.12;
+	g.triangle(x - head, y - s * 0.3, x + head, y - s * 0.3, x, y - s * 0.5);
+	g.line(x, y + s * 0.2, x - s * 0.3, y);
+	g.line(x - s * 0.3, y, x - s * 0.3, y - s * 0.15);
+	g.circle(x - s * 0.3, y - s * 0.2, s * 0.12);
+	g.line(x, y + s * 0.3, x + s * 0.3, y + s * 0.1);
+	g.rect(x + s * 0.24, y - s * 0.08, s * 0.12, s * 0.12);
+}
+
+function glyphVideo(g, x, y, s) {
+	g.rect(x - s * 0.5, y - s * 0.4, s, s * 0.65, 1);
+	g.line(x - s * 0.2, y + s * 0.45, x + s * 0.2, y + s * 0.45);
+}
+
+function glyphAudio(g, x, y, s) {
+	g.arc(x, y + s * 0.1, s * 0.8, s * 0.8, PI, TWO_PI);
+	g.rect(x - s * 0.45, y + s * 0.05, s * 0.2, s * 0.35);
+	g.rect(x + s * 0.25, y + s * 0.05, s * 0.2, s * 0.35);
+}
+
+function glyphMedia(g, x, y, s) {
+	g.rect(x - s * 0.5, y - s * 0.35, s, s * 0.7, 1);
+	g.circle(x - s * 0.22, y - s * 0.02, s * 0.22);
+	g.circle(x + s * 0.22, y - s * 0.02, s * 0.22);
+}
+
+function glyphPort(g, x, y, s) {
+	g.rect(x - s * 0.35, y - s * 0.2, s * 0.7, s * 0.5);
+	g.line(x - s * 0.15, y - s * 0.2, x - s * 0.15, y - s * 0.45);
+	g.line(x + s * 0.15, y - s * 0.2, x + s * 0.15, y - s * 0.45);
+	g.line(x, y + s * 0.3, x, y + s * 0.5);
+}
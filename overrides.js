@@ -0,0 +1,311 @@
+/* Department of Lost Circuits — per-stamp overrides
+   - Click a stamp on the sheet to inspect it: Reroll gives only that stamp a
+     new seed, Lock keeps its seed when R reseeds the sheet, and its border
+     style, circuit density and image crop can be set by hand
+   - Overrides are keyed by device id per dataset: kept in localStorage,
+     seeded from the dataset's overrides file (datasets.json 'overrides') and
+     written back with Export overrides, to sit next to the data
+   - Every renderer asks stampSeed / stampBorder / stampCircuits /
+     stampCrop, so the sheet, plates, PDF, catalog and manifests agree
+*/
+
+const OVERRIDES_STORAGE_KEY = 'lost-circuits:overrides'; // + ':<dataset id>'
+const CROP_ZOOM_MAX = 4;
+const CIRCUITS_MAX = 3; // × the circuitTraces rule
+
+// device id → { seed?, locked?, border?, circuits?, crop?: { zoom, x, y } }
+let STAMP_OVERRIDES = {};
+let inspectedStamp = null; // device id shown in the stamp inspector
+let inspectorUI = null; // { title, lock, border, circuits, zoom, x, y, … }
+
+//// Lookups (renderers) ///////////////////////////////////////////////////////
+function stampOverride(d) {
+	return STAMP_OVERRIDES[d.id] || {};
+}
+
+// Seed base of one stamp: its own after Reroll / Lock, else the sheet's
+function stampSeed(d) {
+	const { seed } = stampOverride(d);
+	return seed === undefined ? baseSeed : seed;
+}
+
+function stampBorder(d) {
+	return stampOverride(d).border || ruleValue('borderStyle', d);
+}
+
+// Multiplier on the circuitTraces rule (0 = bare board)
+function stampCircuits(d) {
+	const { circuits } = stampOverride(d);
+	return circuits === undefined ? 1 : circuits;
+}
+
+// { zoom ≥ 1, x, y in -1…1 (left/top … right/bottom) } or null (whole photo)
+function stampCrop(d) {
+	return stampOverride(d).crop || null;
+}
+
+//// Edits /////////////////////////////////////////////////////////////////////
+// Merge changes into a stamp's overrides; undefined removes a key, a stamp
+// left with none is dropped. Saves and redraws.
+function setStampOverride(id, changes) {
+	const o = { ...STAMP_OVERRIDES[id], ...changes };
+	for (const key of Object.keys(o)) if (o[key] === undefined) delete o[key];
+	if (Object.keys(o).length) STAMP_OVERRIDES[id] = o;
+	else delete STAMP_OVERRIDES[id];
+	saveStampOverrides();
+	refreshStampInspector();
+	scheduleRedraw();
+}
+
+function rerollStamp(d) {
+	setStampOverride(d.id, { seed: floor(random(1e9)) });
+}
+
+// Locking pins the seed the stamp is drawn with right now
+function toggleStampLock(d) {
+	const locked = !stampOverride(d).locked;
+	setStampOverride(d.id, {
+		locked: locked || undefined,
+		seed: stampSeed(d),
+	});
+}
+
+// reseed(): unlocked stamps follow the new sheet seed again
+function releaseStampSeeds() {
+	let released = 0;
+	for (const [id, o] of Object.entries(STAMP_OVERRIDES)) {
+		if (o.locked || o.seed === undefined) continue;
+		delete o.seed;
+		if (!Object.keys(o).length) delete STAMP_OVERRIDES[id];
+		released++;
+	}
+	if (!released) return;
+	saveStampOverrides();
+	refreshStampInspector();
+}
+
+//// Storage ///////////////////////////////////////////////////////////////////
+// localStorage beats the dataset's overrides file; called by loadDevices()
+function loadStampOverrides() {
+	const ds = DATASETS[datasetIndex] || {};
+	let stored = null;
+	try {
+		stored = JSON.parse(localStorage.getItem(overridesStorageKey()));
+	} catch (err) {
+		// storage missing or blocked (file://, private mode): the file only
+	}
+	STAMP_OVERRIDES = stored || { ...ds.overrideFile };
+	inspectedStamp = null;
+	refreshStampInspector();
+}
+
+function saveStampOverrides() {
+	try {
+		localStorage.setItem(
+			overridesStorageKey(),
+			JSON.stringify(STAMP_OVERRIDES)
+		);
+	} catch (err) {
+		console.warn('Overrides not saved:', err.message);
+	}
+}
+
+function overridesStorageKey() {
+	return `${OVERRIDES_STORAGE_KEY}:${datasetId()}`;
+}
+
+// Same shape as the file: { "<device id>": { border: "ticket", … } }
+function exportStampOverrides() {
+	downloadBytes(
+		JSON.stringify(STAMP_OVERRIDES, null, 2),
+		`${datasetId()}_overrides.json`,
+		'application/json'
+	);
+}
+
+//// Hit test //////////////////////////////////////////////////////////////////
+// Canvas px → device on the current sheet, or null
+function stampAt(px, py) {
+	const perSheet = COLS * ROWS;
+	const start = sheetIndex * perSheet;
+	for (let i = start; i < min(start + perSheet, devices.length); i++) {
+		const cell = stampCell(i);
+		if (
+			px >= cell.x &&
+			px < cell.x + cell.width &&
+			py >= cell.y &&
+			py < cell.y + cell.height
+		)
+			return devices[i];
+	}
+	return null;
+}
+
+// Grid module of device i (on its own sheet)
+function stampCell(i) {
+	const idx = i % (COLS * ROWS);
+	return grid.getModule(idx % COLS, floor(idx / COLS));
+}
+
+// Click on the sheet canvas (CSS px, the canvas is scaled to fit)
+function inspectStampAt(event) {
+	const r = event.target.getBoundingClientRect();
+	const d = stampAt(
+		((event.clientX - r.left) * width) / r.width,
+		((event.clientY - r.top) * height) / r.height
+	);
+	inspectedStamp = d ? d.id : null;
+	if (d && inspectorUI) inspectorUI.details.elt.open = true;
+	refreshStampInspector();
+	markInspectedStamp();
+}
+
+//// UI ////////////////////////////////////////////////////////////////////////
+function setupStampInspector() {
+	const root = select('#stamp-inspector');
+	if (!root) return;
+	const details = select('.stamp-inspector');
+
+	const bar = createDiv().addClass('inspector-bar').parent(root);
+	const title = createSpan('').addClass('inspector-title').parent(bar);
+	const button = (label, fn) =>
+		createButton(label)
+			.parent(bar)
+			.mousePressed(() => {
+				const d = inspectedDevice();
+				if (d) fn(d);
+			});
+	button('Reroll', rerollStamp);
+	const lock = button('Lock', toggleStampLock);
+	button('Reset', (d) => {
+		delete STAMP_OVERRIDES[d.id];
+		setStampOverride(d.id, {}); // save + redraw
+	});
+	createButton('Export overrides')
+		.parent(bar)
+		.mousePressed(exportStampOverrides);
+
+	const edit = (fn) => {
+		const d = inspectedDevice();
+		if (d) setStampOverride(d.id, fn(d));
+	};
+	const row = (label, input) => {
+		const el = createElement('label').addClass('tune-row').parent(root);
+		createSpan(label).parent(el);
+		input.parent(el);
+		const out = createSpan('').addClass('tune-value').parent(el);
+		return { input, out };
+	};
+	const border = row('Border', createSelect());
+	border.input.changed(() =>
+		edit(() => ({ border: border.input.value() || undefined }))
+	);
+	const circuits = row('Circuits ×', createSlider(0, CIRCUITS_MAX, 1, 0.25));
+	circuits.input.input(() =>
+		edit(() => {
+			const v = float(circuits.input.value());
+			return { circuits: v === 1 ? undefined : v };
+		})
+	);
+	const crop = (label, lo, hi, v) => {
+		const el = row(label, createSlider(lo, hi, v, 0.01));
+		el.input.input(() => edit(cropFromInputs));
+		return el;
+	};
+	const zoom = crop('Crop zoom', 1, CROP_ZOOM_MAX, 1),
+		x = crop('Crop x', -1, 1, 0),
+		y = crop('Crop y', -1, 1, 0);
+	const cropFromInputs = () => {
+		const c = {
+			zoom: float(zoom.input.value()),
+			x: float(x.input.value()),
+			y: float(y.input.value()),
+		};
+		return { crop: c.zoom === 1 ? undefined : c };
+	};
+	const status = createSpan('').addClass('editor-status').parent(root);
+
+	const marker = createDiv('').addClass('stamp-marker');
+	marker.parent('canvas-container').hide();
+	inspectorUI = {
+		details,
+		title,
+		lock,
+		border,
+		circuits,
+		zoom,
+		x,
+		y,
+		status,
+		marker,
+	};
+	refreshStampInspector();
+}
+
+function inspectedDevice() {
+	return devices.find((d) => d.id === inspectedStamp) || null;
+}
+
+// Controls ← the inspected stamp's overrides (disabled when none is picked)
+function refreshStampInspector() {
+	if (!inspectorUI) return;
+	const { title, lock, border, circuits, zoom, x, y, status } = inspectorUI;
+	const d = inspectedDevice();
+	const o = d ? stampOverride(d) : {};
+	const i = devices.indexOf(d);
+	// device names come from the dataset: set as text, never as markup
+	title.elt.textContent = d
+		? `${d.name} — sheet ${floor(i / (COLS * ROWS)) + 1}, stamp ${
+				(i % (COLS * ROWS)) + 1
+		  }${o.locked ? ' · locked' : ''}`
+		: 'Click a stamp on the sheet';
+	lock.html(o.locked ? 'Unlock' : 'Lock');
+
+	border.input.html('');
+	if (d) {
+		const rule = BORDER_STYLES[ruleValue('borderStyle', d)];
+		border.input.option(`(rule: ${rule ? rule.label : '?'})`, '');
+		for (const [name, style] of Object.entries(BORDER_STYLES))
+			border.input.option(style.label, name);
+		border.input.selected(o.border || '');
+	}
+	const crop = o.crop || { zoom: 1, x: 0, y: 0 };
+	const values = [
+		[circuits, d ? stampCircuits(d) : 1],
+		[zoom, crop.zoom],
+		[x, crop.x],
+		[y, crop.y],
+	];
+	for (const [el, v] of values) {
+		el.input.value(v);
+		el.out.html(formatTuneValue(v));
+	}
+	for (const el of [border, circuits, zoom, x, y])
+		if (d) el.input.removeAttribute('disabled');
+		else el.input.attribute('disabled', '');
+
+	const n = Object.keys(STAMP_OVERRIDES).length;
+	status.html(n ? `${n} stamp(s) overridden in ${datasetId()}` : '');
+}
+
+// Outline over the inspected stamp if it's on the sheet shown (DOM, so it
+// never reaches an export); called by drawSheet()
+function markInspectedStamp() {
+	if (!inspectorUI) return;
+	const { marker } = inspectorUI;
+	const i = devices.indexOf(inspectedDevice());
+	const cnv = drawingContext.canvas;
+	if (i < 0 || floor(i / (COLS * ROWS)) !== sheetIndex || !grid) {
+		marker.hide();
+		return;
+	}
+	const cell = stampCell(i);
+	const s = cnv.clientWidth / width;
+	marker.position(cnv.offsetLeft + cell.x * s, cnv.offsetTop + cell.y * s);
+	marker.size(cell.width * s, cell.height * s);
+	marker.show();
+}
+
+function windowResized() {
+	markInspectedStamp();
+}
@@ -186,10 +186,11 @@ class RisoKDTree {
 }
 
 class RisoChannelMapper {
-  constructor(steps = 0.1, perceptual = false) {
+  constructor(steps = 0.1, perceptual = false, colors = null) {
     this.perceptual = perceptual;
     this.step = steps;
-    this.risoColors = Riso.channels.map((c) => c.channelColor);
+    // explicit ink colours, or every Riso layer in creation order
+    this.risoColors = colors || Riso.channels.map((c) => c.channelColor);
     this.colorCombos = this.generateColorCombinations();
     this.tree = new RisoKDTree(this.colorCombos);
     this.map = {};
@@ -275,14 +276,15 @@ class RisoChannelMapper {
   }
 
   findClosestColor(searchColor) {
-    const ret = this.map[searchColor.join("")];
+    const key = searchColor.join(",");
+    const ret = this.map[key];
     if (ret) {
       return ret;
     }
     let toSearch = searchColor;
     if (this.perceptual) toSearch = this.rgbToLab(searchColor);
     const closest = this.tree.nearestNeighbor([toSearch, []]);
-    this.map[searchColor.join("")] = closest.best;
+    this.map[key] = closest.best;
     return closest.best;
   }
 
@@ -482,18 +484,24 @@ function rgb2cmyk(r, g, b) {
   return [c * 255, m * 255, y * 255, k * 255];
 }
 
-function extractMappedChannels(img, steps = 0.1, perceptual = false) {
+// colors: optional [[r, g, b], ...] to map onto instead of Riso.channels
+function extractMappedChannels(
+  img,
+  steps = 0.1,
+  perceptual = false,
+  colors = null,
+) {
   if (steps < 0.01) steps = 0.01;
   if (steps > 0.5) steps = 0.5;
 
   const p = _getP5Instance();
-  const channelImages = Riso.channels.map((_) =>
+  const channelImages = (colors || Riso.channels).map((_) =>
     p.createImage(img.width, img.height),
   );
   channelImages.forEach((c) => {
     c.loadPixels();
   });
-  const mapper = new RisoChannelMapper(steps, perceptual);
+  const mapper = new RisoChannelMapper(steps, perceptual, colors);
   img.loadPixels();
   for (let i = 0; i < img.pixels.length; i += 4) {
     const r = img.pixels[i];
@@ -638,6 +646,8 @@ function halftoneImage(img, shape, frequency, angle, intensity) {
   rotatedCanvas.pop();
 
   const result = rotatedCanvas.get(w / 2, h / 2, w, h);
+  rotatedCanvas.remove(); // 2× scratch canvases: don't leak one per call
+  out.remove();
   if (intensity === false) {
     return result;
   } else {
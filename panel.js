@@ -0,0 +1,444 @@
+/* Department of Lost Circuits — tuning panel
+   - Sliders / selects for the dither, levels, layout and text constants in
+     sketch.js, the AM screen in dither.js and the press simulation in
+     press.js; the sheet redraws shortly after the last change
+   - Named presets live in localStorage; Export / Import moves one preset as
+     JSON ({ name, params: { DITHER_GAIN: 1.15, … } })
+*/
+
+const TUNE_REDRAW_MS = 250; // debounce between slider input and drawSheet()
+const TUNE_STORAGE_KEY = 'lost-circuits:presets';
+
+// Panel section → tunables. get/set close over the globals (top-level lets
+// aren't on window); range = [min, max, step] for a slider, options() for a
+// select. Layout and text values are stamp base units (see STAMP_BASE_W).
+const TUNE_GROUPS = {
+	Dither: [
+		{
+			key: 'DITHER_METHOD',
+			label: 'Method',
+			options: () => Object.keys(DITHERS),
+			get: () => DITHER_METHOD,
+			set: (v) => {
+				DITHER_METHOD = v;
+				SHEET_DITHER = {}; // per-sheet picks would hide the change
+			},
+		},
+		{
+			key: 'DITHER_GAIN',
+			label: 'Gain',
+			range: [0.5, 2, 0.01],
+			get: () => DITHER_GAIN,
+			set: (v) => (DITHER_GAIN = v),
+		},
+		{
+			key: 'DITHER_BIAS',
+			label: 'Bias',
+			range: [-64, 64, 1],
+			get: () => DITHER_BIAS,
+			set: (v) => (DITHER_BIAS = v),
+		},
+		{
+			key: 'AM_LPI',
+			label: 'AM lpi',
+			range: [20, 150, 5],
+			get: () => AM_LPI,
+			set: (v) => (AM_LPI = v),
+		},
+		{
+			key: 'AM_ANGLE',
+			label: 'AM angle',
+			range: [0, 90, 1],
+			get: () => AM_ANGLE,
+			set: (v) => (AM_ANGLE = v),
+		},
+		{
+			key: 'AM_SHAPE',
+			label: 'AM dot',
+			options: () => ['circle', 'ellipse', 'square', 'line', 'cross'],
+			get: () => AM_SHAPE,
+			set: (v) => (AM_SHAPE = v),
+		},
+	],
+	Levels: [
+		{
+			key: 'LEVELS_CLIP_LOW',
+			label: 'Clip low',
+			range: [0, 0.3, 0.005],
+			get: () => LEVELS_CLIP_LOW,
+			set: (v) => (LEVELS_CLIP_LOW = v),
+		},
+		{
+			key: 'LEVELS_CLIP_HIGH',
+			label: 'Clip high',
+			range: [0.7, 1, 0.005],
+			get: () => LEVELS_CLIP_HIGH,
+			set: (v) => (LEVELS_CLIP_HIGH = v),
+		},
+		{
+			key: 'LEVELS_GAMMA',
+			label: 'Gamma',
+			range: [0.4, 2, 0.01],
+			get: () => LEVELS_GAMMA,
+			set: (v) => (LEVELS_GAMMA = v),
+		},
+	],
+	Layout: [
+		{
+			key: 'STAMP_LAYOUT',
+			label: 'Stamp layout',
+			options: () => Object.keys(STAMP_LAYOUTS),
+			get: () => STAMP_LAYOUT,
+			set: (v) => {
+				STAMP_LAYOUT = v;
+				SHEET_LAYOUT = {}; // per-sheet picks would hide the change
+			},
+		},
+		{
+			key: 'PRICE_SEAL',
+			label: 'Price seal',
+			options: () => Object.keys(PRICE_SEAL_MODES),
+			get: () => PRICE_SEAL,
+			set: (v) => (PRICE_SEAL = v),
+		},
+		{
+			key: 'IMG_MARGIN',
+			label: 'Image margin',
+			range: [0, 80, 1],
+			get: () => IMG_MARGIN,
+			set: (v) => (IMG_MARGIN = v),
+		},
+		{
+			key: 'IMG_TEXT_FOOTER',
+			label: 'Text footer',
+			range: [80, 240, 1],
+			get: () => IMG_TEXT_FOOTER,
+			set: (v) => (IMG_TEXT_FOOTER = v),
+		},
+		{
+			key: 'FRAME_PAD',
+			label: 'Frame pad',
+			range: [0, 40, 1],
+			get: () => FRAME_PAD,
+			set: (v) => (FRAME_PAD = v),
+		},
+		{
+			key: 'INNER_INSET',
+			label: 'Inner inset',
+			range: [0, 20, 1],
+			get: () => INNER_INSET,
+			set: (v) => (INNER_INSET = v),
+		},
+		{
+			key: 'PRICE_D',
+			label: 'Seal size',
+			range: [30, 90, 1],
+			get: () => PRICE_D,
+			set: (v) => (PRICE_D = v),
+		},
+		{
+			key: 'BADGE',
+			label: 'Badge',
+			range: [16, 64, 1],
+			get: () => BADGE,
+			set: (v) => (BADGE = v),
+		},
+		{
+			key: 'STAR_Y_OFFSET',
+			label: 'Stars offset',
+			range: [40, 140, 1],
+			get: () => STAR_Y_OFFSET,
+			set: (v) => (STAR_Y_OFFSET = v),
+		},
+		{
+			key: 'STAMP_BG',
+			label: 'Paper tone',
+			range: [200, 255, 1],
+			get: () => STAMP_BG,
+			set: (v) => (STAMP_BG = v),
+		},
+	],
+	Text: [
+		{
+			key: 'TXT_NAME_1',
+			label: 'Name',
+			range: [12, 36, 1],
+			get: () => TXT_NAME_1,
+			set: (v) => (TXT_NAME_1 = v),
+		},
+		{
+			key: 'TXT_NAME_2',
+			label: 'Name (2 lines)',
+			range: [10, 30, 1],
+			get: () => TXT_NAME_2,
+			set: (v) => (TXT_NAME_2 = v),
+		},
+		{
+			key: 'TXT_YEARS',
+			label: 'Years',
+			range: [8, 24, 1],
+			get: () => TXT_YEARS,
+			set: (v) => (TXT_YEARS = v),
+		},
+		{
+			key: 'TXT_META',
+			label: 'Region • maker',
+			range: [8, 20, 1],
+			get: () => TXT_META,
+			set: (v) => (TXT_META = v),
+		},
+		{
+			key: 'TXT_FORM',
+			label: 'Form factor',
+			range: [8, 20, 1],
+			get: () => TXT_FORM,
+			set: (v) => (TXT_FORM = v),
+		},
+		{
+			key: 'TXT_REASON',
+			label: 'Reason',
+			range: [6, 18, 1],
+			get: () => TXT_REASON,
+			set: (v) => (TXT_REASON = v),
+		},
+		{
+			key: 'TXT_REASON_LINE_GAP',
+			label: 'Reason leading',
+			range: [8, 24, 1],
+			get: () => TXT_REASON_LINE_GAP,
+			set: (v) => (TXT_REASON_LINE_GAP = v),
+		},
+		{
+			key: 'TXT_BLOCK_BOTTOM',
+			label: 'Block bottom',
+			range: [90, 200, 1],
+			get: () => TXT_BLOCK_BOTTOM,
+			set: (v) => (TXT_BLOCK_BOTTOM = v),
+		},
+	],
+	// Press simulation (RISO preview with 'M')
+	Press: [
+		{
+			key: 'PRESS_SIM.offset',
+			label: 'Misregister (mm)',
+			range: [0, 3, 0.05],
+			get: () => PRESS_SIM.offset,
+			set: (v) => (PRESS_SIM.offset = v),
+		},
+		{
+			key: 'PRESS_SIM.rotation',
+			label: 'Skew (°)',
+			range: [0, 1, 0.01],
+			get: () => PRESS_SIM.rotation,
+			set: (v) => (PRESS_SIM.rotation = v),
+		},
+		{
+			key: 'PRESS_SIM.density',
+			label: 'Density ±',
+			range: [0, 0.5, 0.01],
+			get: () => PRESS_SIM.density,
+			set: (v) => (PRESS_SIM.density = v),
+		},
+		{
+			key: 'PRESS_SIM.coverage',
+			label: 'Patchiness',
+			range: [0, 0.8, 0.01],
+			get: () => PRESS_SIM.coverage,
+			set: (v) => (PRESS_SIM.coverage = v),
+		},
+		{
+			key: 'PRESS_SIM.dotGain',
+			label: 'Dot gain (mm)',
+			range: [0, 0.3, 0.01],
+			get: () => PRESS_SIM.dotGain,
+			set: (v) => (PRESS_SIM.dotGain = v),
+		},
+		{
+			key: 'PRESS_SIM.grain',
+			label: 'Paper grain',
+			range: [0, 0.8, 0.01],
+			get: () => PRESS_SIM.grain,
+			set: (v) => (PRESS_SIM.grain = v),
+		},
+	],
+};
+
+const TUNE_PARAMS = Object.values(TUNE_GROUPS).flat();
+
+let TUNE_DEFAULTS = {}; // values at page load, for 'Reset'
+let tuneInputs = {}; // key → { input, out }
+let tuneRedrawTimer = null;
+
+//// Values ////////////////////////////////////////////////////////////////////
+function tuneValues() {
+	const values = {};
+	for (const p of TUNE_PARAMS) values[p.key] = p.get();
+	return values;
+}
+
+// Unknown keys are skipped, numbers clamped to the slider range
+function applyTuneValues(values) {
+	for (const p of TUNE_PARAMS) {
+		if (!(p.key in values)) continue;
+		const v = values[p.key];
+		if (p.options ? p.options().includes(v) : Number.isFinite(v))
+			p.set(p.options ? v : constrain(v, p.range[0], p.range[1]));
+		else console.warn(`Preset: ignoring ${p.key} = ${JSON.stringify(v)}`);
+	}
+	syncTuneInputs();
+	scheduleRedraw();
+}
+
+function scheduleRedraw() {
+	clearTimeout(tuneRedrawTimer);
+	tuneRedrawTimer = setTimeout(drawSheet, TUNE_REDRAW_MS);
+}
+
+//// Presets (localStorage) ////////////////////////////////////////////////////
+// Storage can be missing or blocked (file://, private mode): act as empty
+function loadPresets() {
+	try {
+		return JSON.parse(localStorage.getItem(TUNE_STORAGE_KEY)) || {};
+	} catch (err) {
+		return {};
+	}
+}
+
+function storePresets(presets) {
+	try {
+		localStorage.setItem(TUNE_STORAGE_KEY, JSON.stringify(presets));
+	} catch (err) {
+		console.warn('Presets not saved:', err.message);
+	}
+}
+
+function savePreset(name) {
+	const presets = loadPresets();
+	presets[name] = tuneValues();
+	storePresets(presets);
+}
+
+function deletePreset(name) {
+	const presets = loadPresets();
+	delete presets[name];
+	storePresets(presets);
+}
+
+function exportPreset(name) {
+	const json = JSON.stringify({ name, params: tuneValues() }, null, 2);
+	downloadBytes(
+		json,
+		`lost_circuits_preset_${name || 'current'}.json`,
+		'application/json'
+	);
+}
+
+// Applies + saves a preset file's text → its name; throws if the JSON isn't
+// { name?, params: {…} }
+function importPreset(text) {
+	const data = JSON.parse(text);
+	if (!data || typeof data.params !== 'object')
+		throw new Error('Not a preset file (expected { name, params })');
+	const name = String(data.name || 'imported');
+	applyTuneValues(data.params);
+	savePreset(name);
+	return name;
+}
+
+//// UI ////////////////////////////////////////////////////////////////////////
+function setupTunePanel() {
+	const root = select('#tune-panel');
+	if (!root) return;
+	TUNE_DEFAULTS = tuneValues();
+
+	for (const [group, params] of Object.entries(TUNE_GROUPS)) {
+		const fieldset = createElement('fieldset').parent(root);
+		createElement('legend', group).parent(fieldset);
+		for (const p of params) {
+			const row = createElement('label').addClass('tune-row').parent(fieldset);
+			createSpan(p.label).parent(row);
+			let input;
+			if (p.options) {
+				input = createSelect().parent(row);
+				for (const o of p.options()) input.option(o);
+			} else {
+				input = createSlider(...p.range.slice(0, 2), p.get(), p.range[2]);
+				input.parent(row);
+			}
+			const out = createSpan('').addClass('tune-value').parent(row);
+			input.input(() => {
+				p.set(p.options ? input.value() : float(input.value()));
+				out.html(formatTuneValue(p.get()));
+				scheduleRedraw();
+			});
+			tuneInputs[p.key] = { input, out };
+		}
+	}
+	setupPresetControls(root);
+	syncTuneInputs();
+}
+
+function setupPresetControls(root) {
+	const bar = createDiv().addClass('tune-presets').parent(root);
+	const picker = createSelect().parent(bar);
+	const name = createInput('').parent(bar);
+	name.attribute('placeholder', 'preset name');
+
+	const refresh = (selected = '') => {
+		picker.html('');
+		picker.option('— presets —', '');
+		for (const n of Object.keys(loadPresets())) picker.option(n);
+		picker.selected(selected);
+		name.value(selected);
+	};
+	picker.changed(() => {
+		const preset = loadPresets()[picker.value()];
+		if (preset) applyTuneValues(preset);
+		name.value(picker.value());
+	});
+
+	// p5's createFileInput hands JSON over as a data URL; read the raw File
+	const file = createFileInput((f) =>
+		f.file
+			.text()
+			.then((text) => refresh(importPreset(text)))
+			.catch((err) => console.warn('Preset import failed:', err.message))
+	);
+	file.attribute('accept', '.json,application/json');
+	file.parent(bar).hide();
+
+	const button = (label, fn) =>
+		createButton(label).parent(bar).mousePressed(fn);
+	button('Save', () => {
+		const n = name.value().trim();
+		if (!n) return name.addClass('invalid');
+		name.removeClass('invalid');
+		savePreset(n);
+		refresh(n);
+	});
+	button('Delete', () => {
+		if (!picker.value()) return;
+		deletePreset(picker.value());
+		refresh();
+	});
+	button('Export', () => exportPreset(name.value().trim()));
+	button('Import', () => file.elt.click());
+	button('Reset', () => {
+		applyTuneValues(TUNE_DEFAULTS);
+		refresh();
+	});
+	refresh();
+}
+
+function syncTuneInputs() {
+	for (const p of TUNE_PARAMS) {
+		const el = tuneInputs[p.key];
+		if (!el) continue;
+		el.input.value(p.get());
+		el.out.html(formatTuneValue(p.get()));
+	}
+}
+
+function formatTuneValue(v) {
+	return typeof v === 'number' ? String(+v.toFixed(3)) : v;
+}
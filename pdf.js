@@ -0,0 +1,453 @@
+/* pdf.js — minimal PDF writer for print-ready sheets
+   - PdfLayer records the slice of the p5.Graphics API the stamp renderer uses
+     (shapes, text, 1-bit images) as vector ops, in sheet pixel coordinates
+   - PdfDocument lays layers out on pages at physical size (+ bleed) and tints
+     each layer with its ink, so one recording serves both composite + plate
+*/
+
+// Standard-14 fonts (no embedding needed), keyed by p5 textStyle
+const PDF_FONTS = {
+	normal: { res: 'F1', base: 'Helvetica', css: '' },
+	bold: { res: 'F2', base: 'Helvetica-Bold', css: 'bold ' },
+	italic: { res: 'F3', base: 'Helvetica-Oblique', css: 'italic ' },
+	'bold italic': { res: 'F4', base: 'Helvetica-BoldOblique', css: 'italic bold ' },
+};
+
+// Unicode → WinAnsiEncoding for the 0x80–0x9F block (Latin-1 maps 1:1)
+const PDF_WINANSI = {
+	'€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+	'‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c,
+	'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+	'–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+	'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f, '₤': 0xa3,
+};
+
+const PDF_KAPPA = 0.5522847498; // Bézier handle length for a quarter circle
+
+function pdfNum(n) {
+	return Number.isInteger(n) ? String(n) : (+n.toFixed(3)).toString();
+}
+
+//// Layer (p5.Graphics look-alike) ////////////////////////////////////////////
+class PdfLayer {
+	constructor() {
+		this.ops = []; // strings, or { paint, cov, alpha } colour placeholders
+		this.images = []; // { w, h, bits }
+		this.state = {
+			fill: { cov: 1, alpha: 1 },
+			stroke: { cov: 1, alpha: 1 },
+			weight: 1,
+			rectMode: 'corner',
+			alignX: 'left',
+			alignY: 'alphabetic',
+			size: 12,
+			style: 'normal',
+		};
+		this.stack = [];
+		this.shape = null;
+	}
+
+	//// state
+	push() {
+		this.stack.push({ ...this.state });
+		this.ops.push('q');
+	}
+	pop() {
+		if (!this.stack.length) return;
+		this.state = this.stack.pop();
+		this.ops.push('Q');
+	}
+	translate(x, y) {
+		this.ops.push(`1 0 0 1 ${pdfNum(x)} ${pdfNum(y)} cm`);
+	}
+	scale(sx, sy = sx) {
+		this.ops.push(`${pdfNum(sx)} 0 0 ${pdfNum(sy)} 0 0 cm`);
+	}
+	fill(...args) {
+		this.state.fill = this._paint(args);
+	}
+	noFill() {
+		this.state.fill = null;
+	}
+	stroke(...args) {
+		this.state.stroke = this._paint(args);
+	}
+	noStroke() {
+		this.state.stroke = null;
+	}
+	strokeWeight(w) {
+		this.state.weight = w;
+	}
+	rectMode(mode) {
+		this.state.rectMode = mode;
+	}
+	textAlign(x, y) {
+		this.state.alignX = x;
+		if (y !== undefined) this.state.alignY = y;
+	}
+	textSize(s) {
+		this.state.size = s;
+	}
+	textStyle(s) {
+		this.state.style = PDF_FONTS[s] ? s : 'normal';
+	}
+
+	// p5 gray / gray+alpha / rgb / rgba → ink coverage (0 = paper, 1 = solid)
+	_paint(args) {
+		const v = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+		const lum =
+			v.length >= 3 ? 0.2126 * v[0] + 0.7152 * v[1] + 0.0722 * v[2] : v[0];
+		const a = v.length === 2 ? v[1] : v.length === 4 ? v[3] : 255;
+		return { cov: 1 - constrainUnit(lum / 255), alpha: constrainUnit(a / 255) };
+	}
+
+	//// shapes
+	rect(x, y, w, h, r = 0) {
+		if (this.state.rectMode === 'center') {
+			x -= w / 2;
+			y -= h / 2;
+		}
+		r = Math.min(r, Math.abs(w) / 2, Math.abs(h) / 2);
+		if (!r) {
+			this.ops.push(`${pdfNum(x)} ${pdfNum(y)} ${pdfNum(w)} ${pdfNum(h)} re`);
+		} else {
+			const k = r * (1 - PDF_KAPPA);
+			this._moveTo(x + r, y);
+			this._lineTo(x + w - r, y);
+			this._curveTo(x + w - k, y, x + w, y + k, x + w, y + r);
+			this._lineTo(x + w, y + h - r);
+			this._curveTo(x + w, y + h - k, x + w - k, y + h, x + w - r, y + h);
+			this._lineTo(x + r, y + h);
+			this._curveTo(x + k, y + h, x, y + h - k, x, y + h - r);
+			this._lineTo(x, y + r);
+			this._curveTo(x, y + k, x + k, y, x + r, y);
+			this.ops.push('h');
+		}
+		this._paintPath(true);
+	}
+	circle(x, y, d) {
+		this.ellipse(x, y, d, d);
+	}
+	ellipse(x, y, w, h = w) {
+		this._arcPath(x, y, w / 2, h / 2, 0, Math.PI * 2, true);
+		this.ops.push('h');
+		this._paintPath(true);
+	}
+	// p5 semantics: fill as a pie wedge, stroke as the open arc
+	arc(x, y, w, h, start, stop) {
+		while (stop < start) stop += Math.PI * 2;
+		if (this.state.fill) {
+			this._moveTo(x, y);
+			this._arcPath(x, y, w / 2, h / 2, start, stop, false);
+			this.ops.push('h');
+			this._paintPath(true, false);
+		}
+		if (this.state.stroke) {
+			this._arcPath(x, y, w / 2, h / 2, start, stop, true);
+			this._paintPath(false, true);
+		}
+	}
+	line(x1, y1, x2, y2) {
+		this._moveTo(x1, y1);
+		this._lineTo(x2, y2);
+		this._paintPath(false, true);
+	}
+	triangle(x1, y1, x2, y2, x3, y3) {
+		this._moveTo(x1, y1);
+		this._lineTo(x2, y2);
+		this._lineTo(x3, y3);
+		this.ops.push('h');
+		this._paintPath(true);
+	}
+	beginShape() {
+		this.shape = [];
+	}
+	vertex(x, y) {
+		if (this.shape) this.shape.push([x, y]);
+	}
+	endShape(mode) {
+		const pts = this.shape || [];
+		this.shape = null;
+		if (pts.length < 2) return;
+		this._moveTo(pts[0][0], pts[0][1]);
+		for (let i = 1; i < pts.length; i++) this._lineTo(pts[i][0], pts[i][1]);
+		if (mode === 'close') this.ops.push('h');
+		this._paintPath(true);
+	}
+
+	//// text
+	textWidth(str) {
+		const ctx = pdfMeasureContext();
+		ctx.font = `${PDF_FONTS[this.state.style].css}${this.state.size}px Helvetica, Arial, sans-serif`;
+		return ctx.measureText(String(str)).width;
+	}
+	text(str, x, y) {
+		str = String(str);
+		if (!str || !this.state.fill) return;
+		const { size, alignX, alignY, style } = this.state;
+		if (alignX === 'center') x -= this.textWidth(str) / 2;
+		else if (alignX === 'right') x -= this.textWidth(str);
+		// baseline from p5's vertical alignment (Helvetica ascent ≈ 0.75em)
+		if (alignY === 'center') y += size * 0.35;
+		else if (alignY === 'top') y += size * 0.75;
+		else if (alignY === 'bottom') y -= size * 0.22;
+		this._setPaint('fill');
+		this.ops.push(
+			`BT /${PDF_FONTS[style].res} ${pdfNum(size)} Tf 1 0 0 -1 ${pdfNum(x)} ${pdfNum(y)} Tm (${pdfEncodeText(str)}) Tj ET`
+		);
+	}
+
+	//// 1-bit raster (ink where Riso would lay ink)
+	image(img, x, y, w, h) {
+		const iw = img.width,
+			ih = img.height;
+		if (!iw || !ih) return;
+		w = w === undefined ? iw : w;
+		h = h === undefined ? ih : h;
+		img.loadPixels();
+		const px = img.pixels;
+		const rowBytes = Math.ceil(iw / 8);
+		const bits = new Uint8Array(rowBytes * ih).fill(0xff); // 1 = no ink
+		for (let yy = 0; yy < ih; yy++) {
+			for (let xx = 0; xx < iw; xx++) {
+				const i = 4 * (yy * iw + xx);
+				const a = px[i + 3];
+				const ink =
+					a < 255 ? a > 127 : (px[i] + px[i + 1] + px[i + 2]) / 3 < 128;
+				if (ink) bits[yy * rowBytes + (xx >> 3)] &= ~(0x80 >> (xx & 7));
+			}
+		}
+		this.images.push({ w: iw, h: ih, bits });
+		const name = `Im${this.images.length}`;
+		this.ops.push('q');
+		this.ops.push({ paint: 'fill', cov: 1, alpha: 1 });
+		this.ops.push(
+			`${pdfNum(w)} 0 0 ${pdfNum(-h)} ${pdfNum(x)} ${pdfNum(y + h)} cm /${name} Do Q`
+		);
+	}
+
+	//// path helpers
+	_moveTo(x, y) {
+		this.ops.push(`${pdfNum(x)} ${pdfNum(y)} m`);
+	}
+	_lineTo(x, y) {
+		this.ops.push(`${pdfNum(x)} ${pdfNum(y)} l`);
+	}
+	_curveTo(x1, y1, x2, y2, x3, y3) {
+		this.ops.push(
+			`${pdfNum(x1)} ${pdfNum(y1)} ${pdfNum(x2)} ${pdfNum(y2)} ${pdfNum(x3)} ${pdfNum(y3)} c`
+		);
+	}
+	// elliptical arc as ≤90° Bézier segments
+	_arcPath(cx, cy, rx, ry, start, stop, move) {
+		const segs = Math.max(1, Math.ceil((stop - start) / (Math.PI / 2)));
+		const step = (stop - start) / segs;
+		const k = (4 / 3) * Math.tan(step / 4);
+		let a = start;
+		const p0 = [cx + rx * Math.cos(a), cy + ry * Math.sin(a)];
+		if (move) this._moveTo(p0[0], p0[1]);
+		else this._lineTo(p0[0], p0[1]);
+		for (let i = 0; i < segs; i++) {
+			const b = a + step;
+			this._curveTo(
+				cx + rx * (Math.cos(a) - k * Math.sin(a)),
+				cy + ry * (Math.sin(a) + k * Math.cos(a)),
+				cx + rx * (Math.cos(b) + k * Math.sin(b)),
+				cy + ry * (Math.sin(b) - k * Math.cos(b)),
+				cx + rx * Math.cos(b),
+				cy + ry * Math.sin(b)
+			);
+			a = b;
+		}
+	}
+	_setPaint(kind) {
+		const p = this.state[kind];
+		this.ops.push({ paint: kind, cov: p.cov, alpha: p.alpha });
+	}
+	_paintPath(canFill, canStroke = true) {
+		const f = canFill && this.state.fill;
+		const s = canStroke && this.state.stroke;
+		if (f) this._setPaint('fill');
+		if (s) {
+			this._setPaint('stroke');
+			this.ops.push(`${pdfNum(this.state.weight)} w`);
+		}
+		this.ops.push(f && s ? 'B' : f ? 'f' : s ? 'S' : 'n');
+	}
+}
+
+//// Document //////////////////////////////////////////////////////////////////
+class PdfDocument {
+	constructor() {
+		this.pages = [];
+	}
+
+	// page: { width, height (px), ppi, bleed (in), layers: [{ layer, ink: [r,g,b] }] }
+	// layers after the first overprint with Multiply, like inks on the drum;
+	// their white (paper) fills still knock out with Normal
+	addPage(page) {
+		this.pages.push(page);
+	}
+
+	toBytes() {
+		const objects = []; // index + 1 = object number
+		const add = (body) => objects.push(body); // → object number
+		const catalog = add(null);
+		const pagesRef = add(null);
+		const fontRefs = {};
+		for (const f of Object.values(PDF_FONTS))
+			fontRefs[f.res] = add(
+				`<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`
+			);
+		const fonts = Object.entries(fontRefs)
+			.map(([res, ref]) => `/${res} ${ref} 0 R`)
+			.join(' ');
+
+		const kids = [];
+		for (const page of this.pages) kids.push(this._writePage(page, add, fonts, pagesRef));
+
+		objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+		objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids
+			.map((k) => `${k} 0 R`)
+			.join(' ')}] /Count ${kids.length} >>`;
+
+		// serialise with a byte-accurate xref
+		const parts = [];
+		let offset = 0;
+		const put = (chunk) => {
+			const bytes = typeof chunk === 'string' ? pdfAscii(chunk) : chunk;
+			parts.push(bytes);
+			offset += bytes.length;
+		};
+		put('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+		const xref = [];
+		objects.forEach((body, i) => {
+			xref.push(offset);
+			put(`${i + 1} 0 obj\n`);
+			if (typeof body === 'string') put(body);
+			else {
+				put(`<< ${body.dict} /Length ${body.data.length} >>\nstream\n`);
+				put(body.data);
+				put('\nendstream');
+			}
+			put('\nendobj\n');
+		});
+		const xrefAt = offset;
+		put(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+		for (const at of xref) put(`${String(at).padStart(10, '0')} 00000 n \n`);
+		put(
+			`trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`
+		);
+
+		const out = new Uint8Array(offset);
+		let at = 0;
+		for (const p of parts) {
+			out.set(p, at);
+			at += p.length;
+		}
+		return out;
+	}
+
+	_writePage(page, add, fonts, pagesRef) {
+		const sc = 72 / page.ppi;
+		const bleed = (page.bleed || 0) * 72;
+		const trimW = page.width * sc,
+			trimH = page.height * sc;
+		const mediaW = trimW + bleed * 2,
+			mediaH = trimH + bleed * 2;
+
+		const xobjects = [];
+		const gstates = {};
+		const gstate = (paint, alpha, multiply) => {
+			const key = paint === 'fill' ? 'ca' : 'CA';
+			const name = `GS${key}${Math.round(alpha * 100)}${multiply ? 'M' : ''}`;
+			if (!gstates[name])
+				gstates[name] = add(
+					`<< /Type /ExtGState /${key} ${pdfNum(alpha)} /BM /${
+						multiply ? 'Multiply' : 'Normal'
+					} >>`
+				);
+			return name;
+		};
+
+		// paper white under everything, then px space: y down, origin at trim
+		const content = [
+			`1 g 0 0 ${pdfNum(mediaW)} ${pdfNum(mediaH)} re f`,
+			`${pdfNum(sc)} 0 0 ${pdfNum(-sc)} ${pdfNum(bleed)} ${pdfNum(bleed + trimH)} cm`,
+			'1 J 0 j',
+		];
+		page.layers.forEach(({ layer, ink }, li) => {
+			const multiply = li > 0;
+			const names = layer.images.map((img) => {
+				const ref = add({
+					dict: `/Type /XObject /Subtype /Image /Width ${img.w} /Height ${img.h} /ImageMask true /BitsPerComponent 1`,
+					data: img.bits,
+				});
+				const name = `L${li}Im${xobjects.length + 1}`;
+				xobjects.push(`/${name} ${ref} 0 R`);
+				return name;
+			});
+			content.push('q');
+			for (const op of layer.ops) {
+				if (typeof op === 'string') {
+					content.push(op.replace(/\/Im(\d+) Do/, (_, n) => `/${names[n - 1]} Do`));
+					continue;
+				}
+				// tint: coverage mixes paper white toward the ink colour. Paper
+				// (no coverage) multiplied would vanish: knockouts blend Normal
+				const rgb = ink.map((c) => pdfNum(1 - op.cov * (1 - c / 255)));
+				const overprint = multiply && op.cov > 0;
+				content.push(`/${gstate(op.paint, op.alpha, overprint)} gs`);
+				content.push(`${rgb.join(' ')} ${op.paint === 'fill' ? 'rg' : 'RG'}`);
+			}
+			content.push('Q');
+		});
+
+		const stream = pdfAscii(content.join('\n'));
+		const contentRef = add({ dict: '', data: stream });
+		const gsDict = Object.entries(gstates)
+			.map(([n, ref]) => `/${n} ${ref} 0 R`)
+			.join(' ');
+		const box = (inset) =>
+			`[${pdfNum(inset)} ${pdfNum(inset)} ${pdfNum(mediaW - inset)} ${pdfNum(mediaH - inset)}]`;
+		return add(
+			`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox ${box(0)} /BleedBox ${box(0)} /TrimBox ${box(
+				bleed
+			)} /Resources << /Font << ${fonts} >> /ExtGState << ${gsDict} >> /XObject << ${xobjects.join(
+				' '
+			)} >> >> /Contents ${contentRef} 0 R >>`
+		);
+	}
+}
+
+//// Helpers ///////////////////////////////////////////////////////////////////
+function constrainUnit(v) {
+	return v < 0 ? 0 : v > 1 ? 1 : v;
+}
+
+let _pdfMeasureCtx = null;
+function pdfMeasureContext() {
+	if (!_pdfMeasureCtx)
+		_pdfMeasureCtx = document.createElement('canvas').getContext('2d');
+	return _pdfMeasureCtx;
+}
+
+// PDF string literal body: WinAnsi bytes, escaped as ASCII
+function pdfEncodeText(str) {
+	let out = '';
+	for (const ch of str) {
+		let code = ch.charCodeAt(0);
+		if (PDF_WINANSI[ch] !== undefined) code = PDF_WINANSI[ch];
+		else if (code > 0xff || (code >= 0x80 && code < 0xa0)) code = 0x3f; // '?'
+		if (ch === '(' || ch === ')' || ch === '\\') out += '\\' + ch;
+		else if (code < 0x20 || code > 0x7e) out += '\\' + code.toString(8).padStart(3, '0');
+		else out += ch;
+	}
+	return out;
+}
+
+function pdfAscii(str) {
+	const out = new Uint8Array(str.length);
+	for (let i = 0; i < str.length; i++) out[i] = str.charCodeAt(i) & 0xff;
+	return out;
+}
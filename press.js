@@ -0,0 +1,156 @@
+/* Department of Lost Circuits — press simulation (RISO preview only)
+   - Replaces drawRiso()'s perfect MULTIPLY composite with one "pull" of a
+     duplicator: every drum lands with its own offset + rotation, inks vary in
+     density and go patchy, dots spread (dot gain), paper fibres skip ink
+   - Each pull is seeded from the sheet and pull number, so a sheet looks the
+     same until you ask for a new pull; exported plates / PDF stay clean
+*/
+
+// Worst case per plate (each is drawn uniformly in ±value)
+const PRESS_SIM = {
+	offset: 0.8, // mm, drum misregistration in x and y
+	rotation: 0.15, // degrees, skew around the sheet centre
+	density: 0.12, // ± overall ink density
+	coverage: 0.25, // uneven inking, up to this fraction lighter in patches
+	dotGain: 0.06, // mm, how far ink spreads past the master's dots
+	grain: 0.2, // paper fibres that take no ink
+};
+const PRESS_PATCH_MM = 18; // size of the uneven-inking patches
+const PRESS_GAIN_K = 1.6; // spread → coverage; higher plugs midtones sooner
+
+let SIMULATE_PRESS = false; // toggle with 'M'
+let PRESS_PULL = 0; // 'N' = next pull (new misregistration)
+let PRESS_GRAIN = null; // { w, h, data } paper texture, built once per size
+
+// Composite the plates like drawRiso(), through the simulated press
+function drawRisoPressed(plates) {
+	const pxPerMm = PPI / 25.4;
+	const grain = paperGrain(width, height);
+	blendMode(MULTIPLY);
+	for (const { name, layer } of plates) {
+		const rand = seededRandom(
+			`${baseSeed}::${sheetIndex}::${PRESS_PULL}::${name}`
+		);
+		const jitter = () => rand() * 2 - 1;
+		const dx = jitter() * PRESS_SIM.offset * pxPerMm,
+			dy = jitter() * PRESS_SIM.offset * pxPerMm,
+			angle = jitter() * PRESS_SIM.rotation;
+		const inked = inkPlate(layer, rand, grain, pxPerMm);
+
+		push();
+		translate(width / 2 + dx, height / 2 + dy);
+		rotate(radians(angle));
+		image(inked, -width / 2, -height / 2);
+		pop();
+		inked.remove();
+	}
+	blendMode(BLEND);
+}
+
+// Plate alpha → inked alpha: dot gain, density, patches, paper grain
+function inkPlate(layer, rand, grain, pxPerMm) {
+	const w = layer.width,
+		h = layer.height;
+	layer.loadPixels();
+	const src = layer.pixels;
+	const a = new Float32Array(w * h);
+	for (let i = 0; i < a.length; i++) a[i] = src[i * 4 + 3] / 255;
+
+	const r = Math.round(PRESS_SIM.dotGain * pxPerMm);
+	if (r > 0) {
+		const spread = boxBlur(a, w, h, r);
+		for (let i = 0; i < a.length; i++)
+			a[i] = Math.max(a[i], Math.min(1, spread[i] * PRESS_GAIN_K));
+	}
+
+	const density = 1 + (rand() * 2 - 1) * PRESS_SIM.density;
+	const patch = valueNoise(w, h, PRESS_PATCH_MM * pxPerMm, rand);
+	const [cr, cg, cb] = layer.channelColor;
+
+	const out = createGraphics(w, h);
+	out.pixelDensity(1);
+	out.loadPixels();
+	for (let i = 0; i < a.length; i++) {
+		const k =
+			density *
+			(1 - PRESS_SIM.coverage * patch(i % w, (i / w) | 0)) *
+			(1 - PRESS_SIM.grain * grain.data[i]);
+		const idx = i * 4;
+		out.pixels[idx] = cr;
+		out.pixels[idx + 1] = cg;
+		out.pixels[idx + 2] = cb;
+		out.pixels[idx + 3] = Math.min(255, a[i] * k * 255);
+	}
+	out.updatePixels();
+	return out;
+}
+
+//// Noise + texture ///////////////////////////////////////////////////////////
+// Smooth 0..1 field with features ~cell px apart → (x, y) => value
+function valueNoise(w, h, cell, rand) {
+	const gw = Math.ceil(w / cell) + 2,
+		gh = Math.ceil(h / cell) + 2;
+	const lattice = Float32Array.from({ length: gw * gh }, rand);
+	return (x, y) => {
+		const fx = x / cell,
+			fy = y / cell;
+		const i = (fy | 0) * gw + (fx | 0);
+		let tx = fx % 1,
+			ty = fy % 1;
+		tx = tx * tx * (3 - 2 * tx); // smoothstep
+		ty = ty * ty * (3 - 2 * ty);
+		const top = lattice[i] + (lattice[i + 1] - lattice[i]) * tx;
+		const bot = lattice[i + gw] + (lattice[i + gw + 1] - lattice[i + gw]) * tx;
+		return top + (bot - top) * ty;
+	};
+}
+
+// Separable box blur (running sums), radius r px
+function boxBlur(src, w, h, r) {
+	const tmp = new Float32Array(w * h),
+		out = new Float32Array(w * h);
+	const n = 2 * r + 1;
+	for (let y = 0; y < h; y++) {
+		const row = y * w;
+		let sum = 0;
+		for (let x = -r; x <= r; x++) sum += src[row + constrain(x, 0, w - 1)];
+		for (let x = 0; x < w; x++) {
+			tmp[row + x] = sum / n;
+			sum +=
+				src[row + Math.min(x + r + 1, w - 1)] - src[row + Math.max(x - r, 0)];
+		}
+	}
+	for (let x = 0; x < w; x++) {
+		let sum = 0;
+		for (let y = -r; y <= r; y++) sum += tmp[constrain(y, 0, h - 1) * w + x];
+		for (let y = 0; y < h; y++) {
+			out[y * w + x] = sum / n;
+			sum +=
+				tmp[Math.min(y + r + 1, h - 1) * w + x] -
+				tmp[Math.max(y - r, 0) * w + x];
+		}
+	}
+	return out;
+}
+
+// Paper fibres: white noise smeared along the grain (x) plus speckle; 0 =
+// takes ink, 1 = bare fibre
+function paperGrain(w, h) {
+	if (PRESS_GRAIN && PRESS_GRAIN.w === w && PRESS_GRAIN.h === h)
+		return PRESS_GRAIN;
+	const rand = seededRandom('paper');
+	const r = 3; // fibre half-length, px
+	const data = new Float32Array(w * h);
+	for (let y = 0; y < h; y++) {
+		const row = Float32Array.from({ length: w }, rand);
+		let sum = 0;
+		for (let x = -r; x <= r; x++) sum += row[constrain(x, 0, w - 1)];
+		for (let x = 0; x < w; x++) {
+			const fibre = (sum / (2 * r + 1) - 0.5) * 4;
+			data[y * w + x] = constrain(fibre + row[x] - 0.5, 0, 1);
+			sum += row[Math.min(x + r + 1, w - 1)] - row[Math.max(x - r, 0)];
+		}
+	}
+	PRESS_GRAIN = { w, h, data };
+	return PRESS_GRAIN;
+}
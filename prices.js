@@ -0,0 +1,84 @@
+/* Department of Lost Circuits — price seals
+   - Uses the price model from schema.js (price_value in price_currency, plus
+     price_usd when the CSV gives a dollar figure)
+   - PRICE_SEAL picks what the seal shows: the original local price, USD at
+     launch, or launch USD in CPI_BASE_YEAR dollars (US CPI-U, bundled below)
+   - Falls back to the next thing it knows: no USD → local price, release year
+     outside the CPI table → USD at launch
+*/
+
+const PRICE_SEAL_MODES = {
+	local: 'Original price',
+	usd: 'USD at launch',
+	'usd-today': 'USD today (inflation-adjusted)',
+};
+let PRICE_SEAL = 'local';
+
+// ISO 4217 (every schema.js CURRENCIES code) → seal symbol or short form
+const CURRENCY_SYMBOLS = {
+	USD: '$',
+	JPY: '¥',
+	GBP: '£',
+	EUR: '€',
+	DEM: 'DM',
+	FRF: 'F',
+	CHF: 'Fr.',
+	DKK: 'Dkr',
+	SEK: 'Skr',
+	NOK: 'Nkr',
+	NLG: 'ƒ',
+	ITL: 'L.',
+	CAD: 'C$',
+	AUD: 'A$',
+	KRW: '₩',
+};
+
+// US CPI-U, annual average (1982–84 = 100), Bureau of Labor Statistics
+const CPI_US = {
+	1950: 24.1, 1951: 26.0, 1952: 26.5, 1953: 26.7, 1954: 26.9, 1955: 26.8,
+	1956: 27.2, 1957: 28.1, 1958: 28.9, 1959: 29.1, 1960: 29.6, 1961: 29.9,
+	1962: 30.2, 1963: 30.6, 1964: 31.0, 1965: 31.5, 1966: 32.4, 1967: 33.4,
+	1968: 34.8, 1969: 36.7, 1970: 38.8, 1971: 40.5, 1972: 41.8, 1973: 44.4,
+	1974: 49.3, 1975: 53.8, 1976: 56.9, 1977: 60.6, 1978: 65.2, 1979: 72.6,
+	1980: 82.4, 1981: 90.9, 1982: 96.5, 1983: 99.6, 1984: 103.9, 1985: 107.6,
+	1986: 109.6, 1987: 113.6, 1988: 118.3, 1989: 124.0, 1990: 130.7,
+	1991: 136.2, 1992: 140.3, 1993: 144.5, 1994: 148.2, 1995: 152.4,
+	1996: 156.9, 1997: 160.5, 1998: 163.0, 1999: 166.6, 2000: 172.2,
+	2001: 177.1, 2002: 179.9, 2003: 184.0, 2004: 188.9, 2005: 195.3,
+	2006: 201.6, 2007: 207.3, 2008: 215.3, 2009: 214.5, 2010: 218.1,
+	2011: 224.9, 2012: 229.6, 2013: 233.0, 2014: 236.7, 2015: 237.0,
+	2016: 240.0, 2017: 245.1, 2018: 251.1, 2019: 255.7, 2020: 258.8,
+	2021: 271.0, 2022: 292.7, 2023: 304.7, 2024: 313.7,
+};
+const CPI_BASE_YEAR = 2024; // "today" — fixed so renders don't drift
+
+// USD in release_year → USD in CPI_BASE_YEAR (NaN outside the table)
+function adjustForInflation(usd, year) {
+	const then = CPI_US[year];
+	return then ? (usd * CPI_US[CPI_BASE_YEAR]) / then : NaN;
+}
+
+// → { price: 'DM98', note: '1961' } for the seal, or null (no seal)
+function priceSealLabel(d, mode = PRICE_SEAL) {
+	if (!d.price_value) return null;
+	const year = isNaN(d.release_year) ? '' : String(d.release_year);
+	const usd = d.price_usd;
+	if (mode === 'usd-today' && !isNaN(usd)) {
+		const today = adjustForInflation(usd, d.release_year);
+		if (!isNaN(today))
+			return { price: formatPrice('$', today), note: `${CPI_BASE_YEAR} USD` };
+	}
+	if (mode !== 'local' && !isNaN(usd))
+		return { price: formatPrice('$', usd), note: year && `${year} USD` };
+	const symbol =
+		CURRENCY_SYMBOLS[d.price_currency] || d.price_currency || '$';
+	return { price: formatPrice(symbol, d.price_value), note: year };
+}
+
+// 98 → '98', 39800 → '39.8K', 243000 → '243K', 1.2e6 → '1.2M'
+function formatPrice(symbol, amount) {
+	if (amount >= 1e6) return `${symbol}${(amount / 1e6).toFixed(1)}M`;
+	if (amount >= 1e5) return `${symbol}${Math.round(amount / 1e3)}K`;
+	if (amount >= 1e3) return `${symbol}${(amount / 1e3).toFixed(1)}K`;
+	return `${symbol}${Math.round(amount)}`;
+}
@@ -0,0 +1,121 @@
+/* Department of Lost Circuits — design rules
+   - rules.json binds each data-driven visual parameter to a device field
+     through a mapping: linear, bucket, categorical or hash
+   - Renderers only ask ruleValue(name, d), on screen and on the plates
+     alike, so re-theming the series is an edit to rules.json
+   - Rules are checked as they load (setRules); a bad one throws with its name
+*/
+
+const RULE_MAPS = {
+	linear: mapLinear,
+	bucket: mapBucket,
+	categorical: mapCategorical,
+	hash: mapHash,
+};
+const RULE_NEEDS = {
+	linear: ['domain', 'range'],
+	bucket: ['thresholds', 'values'],
+	categorical: ['cases'],
+	hash: ['values'],
+};
+const RULE_ROUNDING = ['floor', 'round', 'ceil'];
+
+let RULES = {}; // name → rule, from rules.json (preload)
+
+function setRules(rules) {
+	for (const [name, rule] of Object.entries(rules)) checkRule(name, rule);
+	RULES = rules;
+}
+
+// visual parameter for device d, e.g. ruleValue('rarityStars', d) → 4
+function ruleValue(name, d) {
+	const rule = RULES[name];
+	if (!rule)
+		throw new Error(
+			`Unknown rule "${name}" — use ${Object.keys(RULES).join(', ')}`
+		);
+	return RULE_MAPS[rule.map](rule, d[rule.field], d);
+}
+
+function checkRule(name, rule) {
+	if (!RULE_MAPS[rule.map])
+		throw new Error(
+			`Unknown map "${rule.map}" in rule ${name} — use ${Object.keys(
+				RULE_MAPS
+			).join(', ')}`
+		);
+	if (!rule.field) throw new Error(`Rule ${name} has no field`);
+	for (const key of RULE_NEEDS[rule.map])
+		if (!rule[key]) throw new Error(`Rule ${name} (${rule.map}) needs ${key}`);
+	if (rule.round && !RULE_ROUNDING.includes(rule.round))
+		throw new Error(
+			`Unknown round "${rule.round}" in rule ${name} — use ${RULE_ROUNDING.join(
+				', '
+			)}`
+		);
+	const { thresholds, values, weights } = rule;
+	if (rule.map === 'bucket' && values.length !== thresholds.length + 1)
+		throw new Error(`Rule ${name} needs one more value than thresholds`);
+	if (
+		weights &&
+		(weights.length !== values.length ||
+			weights.some((w) => !(w >= 0)) ||
+			!weights.some((w) => w > 0))
+	)
+		throw new Error(`Rule ${name} needs one weight ≥ 0 per value`);
+}
+
+//// MAPPINGS //////////////////////////////////////////////////////////////////
+// numeric field; blank / NaN → rule.missing as input, else rule.default out
+function ruleNumber(rule, value) {
+	const v = typeof value === 'number' ? value : parseFloat(value);
+	return isNaN(v) ? rule.missing : v;
+}
+function ruleRound(rule, v) {
+	return rule.round ? Math[rule.round](v) : v;
+}
+
+// domain → range, clamped to the domain unless clamp: false
+function mapLinear(rule, value) {
+	let v = ruleNumber(rule, value);
+	if (v === undefined) return rule.default;
+	const [d0, d1] = rule.domain,
+		[r0, r1] = rule.range;
+	if (rule.clamp !== false)
+		v = Math.min(Math.max(v, Math.min(d0, d1)), Math.max(d0, d1));
+	return ruleRound(rule, r0 + ((v - d0) / (d1 - d0)) * (r1 - r0));
+}
+
+// ascending thresholds: below thresholds[i] → values[i], else the last value
+function mapBucket(rule, value) {
+	const v = ruleNumber(rule, value);
+	if (v === undefined) return rule.default;
+	const i = rule.thresholds.findIndex((t) => v < t);
+	return rule.values[i === -1 ? rule.values.length - 1 : i];
+}
+
+// text field, case-insensitive; match 'contains' takes the first case found
+// in the text (cases keep their rules.json order), part 'first' only looks
+// before the first '/'
+function mapCategorical(rule, value) {
+	let text = String(value ?? '').toLowerCase();
+	if (rule.part === 'first') text = text.split('/')[0].trim();
+	const key = Object.keys(rule.cases).find((k) =>
+		rule.match === 'contains'
+			? text.includes(k.toLowerCase())
+			: text === k.toLowerCase()
+	);
+	return key === undefined ? rule.default : rule.cases[key];
+}
+
+// stable pick per value, reshuffled with the stamp's seed (R = reseed, or
+// Reroll in the stamp inspector); optional weights, one per value
+function mapHash(rule, value, d) {
+	const h = hash(`${stampSeed(d)}::${rule.field}::${value ?? ''}`);
+	const u = h / 2 ** 32; // high bits: FNV's low bits barely mix
+	const { values, weights } = rule;
+	if (!weights) return values[Math.floor(u * values.length)];
+	let t = u * weights.reduce((sum, w) => sum + w, 0);
+	const i = weights.findIndex((w) => (t -= w) < 0);
+	return values[i === -1 ? values.length - 1 : i];
+}
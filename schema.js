@@ -0,0 +1,381 @@
+/* Department of Lost Circuits — device dataset schema
+   - DEVICE_SCHEMA types every devices.csv column; FIELD_TYPES normalise the
+     raw strings (years, prices + currency, unit counts, categories)
+   - CATEGORY_TAXONOMY folds category synonyms into canonical categories
+     (records carry both: category as written, category_key canonical)
+   - validateDevices() turns CSV rows into the device records sketch.js draws
+     and collects every problem row instead of silently defaulting it
+   - Sources can be CSV, JSON or YAML (parseDeviceSource picks by extension);
+     formatCsv writes rows back out (record editor export)
+   - Plain script in the page, CommonJS module for cli/validate.js
+*/
+
+// Column → type (a FIELD_TYPES key). Required columns must exist and be
+// filled in on every row.
+const DEVICE_SCHEMA = {
+	image_path: { type: 'text', required: true },
+	name: { type: 'text', required: true },
+	years_active: { type: 'years', required: true },
+	category: { type: 'category', required: true },
+	region: { type: 'text' },
+	manufacturer: { type: 'text' },
+	designer: { type: 'text' },
+	original_price: { type: 'price' },
+	units_sold: { type: 'units' },
+	description: { type: 'text' },
+	reason_for_obsolescence: { type: 'text' },
+	notable_feature: { type: 'text' },
+	afterlife: { type: 'text' },
+	material_components: { type: 'text' },
+	availability_today: { type: 'text' },
+	connectivity: { type: 'text' },
+	form_factor: { type: 'text' },
+	dither: { type: 'text' }, // optional, see dither.js
+};
+
+// Canonical category → label + the synonyms it absorbs (lower case). A
+// category cell can name several ('sewing / gaming'): every part must be a
+// known synonym, the first one sets the canonical category (categoryKey)
+const CATEGORY_TAXONOMY = {
+	audio: { label: 'Audio', synonyms: ['audio', 'radio', 'hi-fi', 'stereo'] },
+	media: {
+		label: 'Portable media',
+		synonyms: ['media', 'portable media', 'music player'],
+	},
+	video: { label: 'Video', synonyms: ['video', 'vcr', 'camcorder'] },
+	television: { label: 'Television', synonyms: ['television', 'tv'] },
+	computing: {
+		label: 'Computing',
+		synonyms: ['computing', 'computer', 'laptop', 'desktop'],
+	},
+	pda: { label: 'PDA', synonyms: ['pda', 'handheld', 'organiser'] },
+	phone: { label: 'Mobile phone', synonyms: ['mobile phone', 'mobile'] },
+	telephone: { label: 'Telephone', synonyms: ['telephone', 'landline'] },
+	calculator: { label: 'Calculator', synonyms: ['calculator'] },
+	camera: { label: 'Camera', synonyms: ['camera', 'imaging', 'photography'] },
+	gaming: { label: 'Gaming', synonyms: ['gaming', 'games', 'console'] },
+	toy: { label: 'Toy', synonyms: ['toy'] },
+	robotics: { label: 'Robotics', synonyms: ['robotics', 'robot'] },
+	wearable: { label: 'Wearable', synonyms: ['wearable', 'watch'] },
+	storage: { label: 'Storage', synonyms: ['storage'] },
+	typewriter: {
+		label: 'Typewriter',
+		synonyms: ['typewriter', 'word processor'],
+	},
+	sewing: { label: 'Sewing', synonyms: ['sewing'] },
+	iot: { label: 'Connected home', synonyms: ['iot', 'smart home'] },
+	other: { label: 'Other', synonyms: [] }, // blank or unknown
+};
+
+// Every known category string (lower case), e.g. for the editor's datalist
+const DEVICE_CATEGORIES = Object.values(CATEGORY_TAXONOMY)
+	.flatMap((c) => c.synonyms)
+	.sort();
+
+// 'Mobile phone' → 'phone', 'sewing / gaming' → 'sewing', '' → 'other'
+function categoryKey(category) {
+	const first = String(category || '')
+		.split('/')[0]
+		.trim()
+		.toLowerCase();
+	const key = Object.keys(CATEGORY_TAXONOMY).find((k) =>
+		CATEGORY_TAXONOMY[k].synonyms.includes(first)
+	);
+	return key || 'other';
+}
+
+// Price prefix → ISO 4217 (historic codes for pre-euro prices)
+const CURRENCIES = {
+	$: 'USD',
+	US$: 'USD',
+	USD: 'USD',
+	'¥': 'JPY',
+	JPY: 'JPY',
+	'£': 'GBP',
+	'₤': 'GBP',
+	GBP: 'GBP',
+	'€': 'EUR',
+	EUR: 'EUR',
+	DM: 'DEM',
+	DEM: 'DEM',
+	FF: 'FRF',
+	FRF: 'FRF',
+	CHF: 'CHF',
+	DKK: 'DKK',
+	SEK: 'SEK',
+	NOK: 'NOK',
+	NLG: 'NLG',
+	ITL: 'ITL',
+	CAD: 'CAD',
+	AUD: 'AUD',
+	'₩': 'KRW',
+	KRW: 'KRW',
+};
+
+const YEAR_MIN = 1800; // anything earlier is a typo
+
+//// Field types ///////////////////////////////////////////////////////////////
+// raw string → { value, error? }; value is always usable (falls back like the
+// old loader did) so one bad cell never drops a stamp
+const FIELD_TYPES = {
+	text: (raw) => ({ value: raw.trim() }),
+
+	// '1961–1964', '1978', '2004-present' ('present' → the release year, as the
+	// old loader read it); '1990s', '~1985', 'c. 1985' parse but are flagged
+	years: (raw) => {
+		const yrs = raw
+			.toLowerCase()
+			.trim()
+			.replace(/[—–]/g, '-')
+			.replace(/\s+/g, ' ');
+		const m = yrs.match(/(\d{4})\s*-\s*(\d{4}|present)/);
+		let release_year = NaN,
+			discontinued = NaN;
+		if (m) {
+			release_year = parseInt(m[1], 10);
+			discontinued = m[2] === 'present' ? release_year : parseInt(m[2], 10);
+		} else {
+			const yy = yrs.match(/\d{4}/g) || [];
+			if (yy.length) release_year = parseInt(yy[0], 10);
+			if (yy.length > 1) discontinued = parseInt(yy[1], 10);
+		}
+		if (!isNaN(release_year) && isNaN(discontinued))
+			discontinued = release_year;
+
+		const value = { release_year, discontinued };
+		if (isNaN(release_year))
+			return { value, error: `unparseable years "${raw}"` };
+		if (release_year < YEAR_MIN || discontinued > new Date().getFullYear())
+			return { value, error: `implausible years "${raw}"` };
+		if (discontinued < release_year)
+			return { value, error: `ends before it starts "${raw}"` };
+		if (/\d{4}\s*'?s\b|~|\b(?:c|ca|circa)\b\.?\s*\d{4}/.test(yrs))
+			return {
+				value,
+				error: `approximate years "${raw}" (read as ${release_year})`,
+			};
+		return { value };
+	},
+
+	// 'DM 98 ($25)', '~$100-300', '$200 drive' → first amount, its currency and
+	// the USD figure when given (or when the price is in dollars)
+	price: (raw) => {
+		const value = { amount: 0, currency: '', usd: NaN };
+		if (!raw.trim()) return { value, error: 'no price (seal skipped)' };
+		const m = raw.match(/^\s*~?\s*([^\d\s~(]*)\s*(\d[\d,]*(?:\.\d+)?)/);
+		if (!m) return { value, error: `unparseable price "${raw}"` };
+		value.amount = parseFloat(m[2].replace(/,/g, ''));
+		value.currency = CURRENCIES[m[1].toUpperCase()] || '';
+		const usd = raw.match(/\(\s*(?:US)?\$\s*(\d[\d,]*(?:\.\d+)?)/);
+		if (usd) value.usd = parseFloat(usd[1].replace(/,/g, ''));
+		else if (value.currency === 'USD') value.usd = value.amount;
+		if (!value.currency)
+			return {
+				value,
+				error: `unknown currency "${m[1] || '(none)'}" in "${raw}"`,
+			};
+		return { value };
+	},
+
+	// '~50000', '~16500000 discs', '1.2M', '250k'
+	units: (raw) => {
+		if (!raw.trim()) return { value: 0, error: 'no units sold' };
+		const m = raw.match(/(\d[\d,]*(?:\.\d+)?)\s*(k|m|million|billion)?\b/i);
+		if (!m) return { value: 0, error: `unparseable units "${raw}"` };
+		const scale = { k: 1e3, m: 1e6, million: 1e6, billion: 1e9 };
+		const n = parseFloat(m[1].replace(/,/g, ''));
+		return { value: Math.round(n * (scale[(m[2] || '').toLowerCase()] || 1)) };
+	},
+
+	category: (raw) => {
+		const value = raw.trim();
+		const unknown = value
+			.toLowerCase()
+			.split('/')
+			.map((c) => c.trim())
+			.filter((c) => c && !DEVICE_CATEGORIES.includes(c));
+		if (unknown.length)
+			return { value, error: `unknown category "${unknown.join('", "')}"` };
+		return { value };
+	},
+};
+
+//// Validation ////////////////////////////////////////////////////////////////
+// rows: objects keyed by column name (parseDeviceSource)
+// opts.imageExists(path) → bool, when the caller can check files (CLI);
+// opts.dithers: valid dither names, when dither.js is loaded
+// → { records, issues: [{ row, name, field, message }] }, row = CSV line
+function validateDevices(rows, opts = {}) {
+	const issues = [];
+	const records = [];
+	const columns = rows.length ? Object.keys(rows[0]) : [];
+	for (const [col, spec] of Object.entries(DEVICE_SCHEMA))
+		if (spec.required && !columns.includes(col))
+			issues.push({ row: 1, name: '', field: col, message: 'missing column' });
+
+	const seen = new Map(); // lower-cased name → first CSV line
+	rows.forEach((row, r) => {
+		const line = r + 2; // header is line 1
+		const name = String(row.name || '').trim();
+		const issue = (field, message) =>
+			issues.push({ row: line, name, field, message });
+
+		const v = {};
+		for (const [col, spec] of Object.entries(DEVICE_SCHEMA)) {
+			const raw = row[col] == null ? '' : String(row[col]);
+			if (spec.required && !raw.trim() && columns.includes(col))
+				issue(col, 'empty');
+			const res = FIELD_TYPES[spec.type](raw);
+			if (res.error && (raw.trim() || !spec.required)) issue(col, res.error);
+			v[col] = res.value;
+		}
+
+		if (name) {
+			const key = name.toLowerCase();
+			if (seen.has(key)) issue('name', `duplicate of row ${seen.get(key)}`);
+			else seen.set(key, line);
+		}
+		if (v.image_path && opts.imageExists && !opts.imageExists(v.image_path))
+			issue('image_path', `image not found "${v.image_path}"`);
+		if (v.dither && opts.dithers && !opts.dithers.includes(v.dither))
+			issue('dither', `unknown dither "${v.dither}"`);
+
+		records.push({
+			row: line,
+			id: name || String(r + 1),
+			name: name || `Device ${r + 1}`,
+			category: v.category,
+			category_key: categoryKey(v.category),
+			region: v.region,
+			manufacturer: v.manufacturer,
+			designer: v.designer,
+			description: v.description,
+			notable_feature: v.notable_feature,
+			afterlife: v.afterlife,
+			material_components: v.material_components,
+			original_price: String(row.original_price || '').trim(),
+			price_value: v.original_price.amount,
+			price_currency: v.original_price.currency,
+			price_usd: v.original_price.usd,
+			units_sold_raw: String(row.units_sold || '').trim(),
+			units_sold: v.units_sold,
+			availability_today: v.availability_today,
+			connectivity: v.connectivity,
+			form_factor: v.form_factor,
+			reason_for_obsolescence: v.reason_for_obsolescence,
+			release_year: v.years_active.release_year,
+			discontinued: v.years_active.discontinued,
+			image_path: v.image_path,
+			dither: v.dither,
+		});
+	});
+	return { records, issues };
+}
+
+// 'row 23 (Sony Walkman) years_active: unparseable years "19xx"'
+function formatIssue(i) {
+	return `row ${i.row}${i.name ? ` (${i.name})` : ''} ${i.field}: ${i.message}`;
+}
+
+//// Sources ///////////////////////////////////////////////////////////////////
+// Dataset file text → row objects, format from the file extension
+function parseDeviceSource(text, source) {
+	const ext = source.split('.').pop().toLowerCase();
+	if (ext === 'csv') return parseCsv(text).rows;
+	const data =
+		ext === 'json'
+			? JSON.parse(text)
+			: ext === 'yaml' || ext === 'yml'
+			? parseYaml(text)
+			: null;
+	if (!data) throw new Error(`Unknown dataset format "${source}"`);
+	const rows = Array.isArray(data) ? data : data.devices;
+	if (!Array.isArray(rows))
+		throw new Error(`${source}: expected a list of devices (or { devices })`);
+	return rows;
+}
+
+// Just enough YAML for a device list: '- key: value' items (optionally under
+// a top-level 'devices:' key), # comments, plain or quoted scalars. Nesting,
+// anchors and block scalars throw.
+function parseYaml(text) {
+	const rows = [];
+	let row = null;
+	text.split(/\r?\n/).forEach((line, n) => {
+		if (/^\s*(#.*)?$/.test(line) || /^devices:\s*(#.*)?$/.test(line)) return;
+		const m = line.match(/^\s*(-\s+)?([^\s:#'"][^:#]*?):(?:\s+(.*))?$/);
+		if (!m) throw new Error(`YAML line ${n + 1}: expected "key: value"`);
+		if (m[1]) rows.push((row = {}));
+		else if (!row) throw new Error(`YAML line ${n + 1}: expected "- " item`);
+		row[m[2]] = yamlScalar(m[3] || '');
+	});
+	return { devices: rows };
+}
+
+function yamlScalar(raw) {
+	let m;
+	if ((m = raw.match(/^"((?:[^"\\]|\\.)*)"/))) return JSON.parse(`"${m[1]}"`);
+	if ((m = raw.match(/^'((?:[^']|'')*)'/))) return m[1].replace(/''/g, "'");
+	return raw.replace(/(^|\s+)#.*$/, '').trim();
+}
+
+//// CSV (RFC 4180) ////////////////////////////////////////////////////////////
+// RFC 4180: quoted fields, "" escapes, CRLF or LF → { columns, rows }
+function parseCsv(text) {
+	const records = [[]];
+	let field = '',
+		quoted = false;
+	for (let i = 0; i < text.length; i++) {
+		const c = text[i];
+		if (quoted) {
+			if (c === '"' && text[i + 1] === '"') field += text[++i];
+			else if (c === '"') quoted = false;
+			else field += c;
+		} else if (c === '"') quoted = true;
+		else if (c === ',') {
+			records[records.length - 1].push(field);
+			field = '';
+		} else if (c === '\n' || c === '\r') {
+			if (c === '\r' && text[i + 1] === '\n') i++;
+			records[records.length - 1].push(field);
+			field = '';
+			records.push([]);
+		} else field += c;
+	}
+	records[records.length - 1].push(field);
+
+	const [columns = [], ...body] = records.filter(
+		(rec) => rec.length > 1 || rec[0] !== ''
+	);
+	const rows = body.map((rec) =>
+		Object.fromEntries(columns.map((col, i) => [col, rec[i] ?? '']))
+	);
+	return { columns, rows };
+}
+
+// Inverse of parseCsv: quotes fields with commas, quotes or line breaks; CRLF
+// line endings like devices.csv
+function formatCsv(columns, rows) {
+	const field = (v) => {
+		const str = v == null ? '' : String(v);
+		return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+	};
+	const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))];
+	return lines.map((rec) => rec.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+if (typeof module !== 'undefined')
+	module.exports = {
+		DEVICE_SCHEMA,
+		CATEGORY_TAXONOMY,
+		DEVICE_CATEGORIES,
+		categoryKey,
+		CURRENCIES,
+		FIELD_TYPES,
+		validateDevices,
+		formatIssue,
+		parseDeviceSource,
+		parseCsv,
+		formatCsv,
+		parseYaml,
+	};
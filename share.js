@@ -0,0 +1,252 @@
+/* Department of Lost Circuits — shareable sheet state
+   - sheetState(): everything a sheet depends on besides the data — dataset,
+     sheet, seed, format, inks, dither, layout, price seal, circuit traces,
+     perf gauge, RISO preview / press pull and the tuning panel values
+   - The page URL mirrors it (?dataset=lost_circuits&sheet=2&seed=48151623…)
+     and is restored on load, so a link reopens the same sheet
+   - Every export also writes a manifest: that state, rules.json, the stamp
+     overrides, a data fingerprint and each stamp's seed, border and dither;
+     cli/render.js --manifest replays one
+*/
+
+const SHARE_MANIFEST_VERSION = 1;
+
+// URL parameter → kind; tuning values ride along as their own keys
+// (FRAME_PAD=14), only where they differ from the page defaults
+const SHARE_PARAMS = {
+	dataset: 'text',
+	sheet: 'int',
+	seed: 'int',
+	format: 'text',
+	inks: 'text',
+	dither: 'text',
+	sheetDither: 'picks',
+	layout: 'text',
+	sheetLayout: 'picks',
+	price: 'text',
+	perf: 'number',
+	traces: 'flag',
+	riso: 'flag',
+	press: 'flag',
+	pull: 'int',
+};
+// tunables already carried by dither / layout / price
+const SHARE_TUNE_SKIP = ['DITHER_METHOD', 'STAMP_LAYOUT', 'PRICE_SEAL'];
+
+let shareUrlLive = false; // set once setup() has restored the URL state
+
+//// State /////////////////////////////////////////////////////////////////////
+function sheetState() {
+	return {
+		dataset: datasetId(),
+		sheet: sheetIndex + 1,
+		seed: baseSeed,
+		format: SHEET_FORMAT,
+		inks: SEPARATION,
+		dither: DITHER_METHOD,
+		sheetDither: sheetPicks(SHEET_DITHER),
+		layout: STAMP_LAYOUT,
+		sheetLayout: sheetPicks(SHEET_LAYOUT),
+		price: PRICE_SEAL,
+		perf: PERF_GAUGE,
+		traces: SHOW_TRACES,
+		riso: USE_RISO,
+		press: SIMULATE_PRESS,
+		pull: PRESS_PULL,
+		tune: tuneValues(),
+	};
+}
+
+// Partial state is fine: missing keys keep their current value. The dataset
+// must already be showing (showDataset loads its images asynchronously).
+// Each bad value goes to onError if given, else the first one throws.
+function applySheetState(state, onError) {
+	const apply = (key, fn) => {
+		if (state[key] === undefined) return;
+		try {
+			fn(state[key]);
+		} catch (err) {
+			if (!onError) throw err;
+			onError(err);
+		}
+	};
+	apply('dataset', (id) => {
+		if (id !== datasetId())
+			throw new Error(`Dataset "${id}" isn't loaded — showDataset() first`);
+	});
+	apply('format', applySheetFormat);
+	apply('seed', (seed) => (baseSeed = seed));
+	apply('inks', setSeparation);
+	apply('tune', applyTuneValues);
+	apply('dither', setDitherMethod);
+	apply('sheetDither', (picks) => {
+		SHEET_DITHER = checkPicks(picks, DITHERS);
+	});
+	apply('layout', setStampLayout);
+	apply('sheetLayout', (picks) => {
+		SHEET_LAYOUT = checkPicks(picks, STAMP_LAYOUTS);
+	});
+	apply('price', setPriceSeal);
+	apply('perf', setPerfGauge);
+	apply('traces', (on) => (SHOW_TRACES = on));
+	apply('press', (on) => (SIMULATE_PRESS = on));
+	apply('pull', (pull) => (PRESS_PULL = pull));
+	apply('riso', setRisoPreview);
+	showSheet((state.sheet || sheetIndex + 1) - 1);
+}
+
+// { 0: 'atkinson' } (sheet index) ↔ { 1: 'atkinson' } (sheet number)
+function sheetPicks(map) {
+	const picks = {};
+	for (const [i, name] of Object.entries(map)) picks[int(i) + 1] = name;
+	return picks;
+}
+function checkPicks(picks, registry) {
+	const map = {};
+	for (const [n, name] of Object.entries(picks)) {
+		if (!registry[name])
+			throw new Error(
+				`Unknown pick "${name}" for sheet ${n} — use ${Object.keys(
+					registry
+				).join(', ')}`
+			);
+		map[int(n) - 1] = name;
+	}
+	return map;
+}
+
+//// URL ///////////////////////////////////////////////////////////////////////
+// 'dataset=lost_audio&sheet=2&sheetDither=2:atkinson&FRAME_PAD=14'
+function sheetQuery(state = sheetState()) {
+	const params = new URLSearchParams();
+	for (const [key, kind] of Object.entries(SHARE_PARAMS)) {
+		const v = state[key];
+		if (kind === 'picks') {
+			const pairs = Object.entries(v).map(([n, name]) => `${n}:${name}`);
+			if (pairs.length) params.set(key, pairs.join(','));
+		} else if (kind === 'flag') params.set(key, v ? 1 : 0);
+		else params.set(key, v);
+	}
+	for (const [key, v] of Object.entries(state.tune))
+		if (!SHARE_TUNE_SKIP.includes(key) && v !== TUNE_DEFAULTS[key])
+			params.set(key, v);
+	return params.toString().replace(/%3A/g, ':').replace(/%2C/g, ',');
+}
+
+// Query string → partial state; unknown or malformed parameters are skipped
+// with a warning
+function parseSheetQuery(search) {
+	const state = {},
+		tune = {};
+	for (const [key, raw] of new URLSearchParams(search)) {
+		const kind = SHARE_PARAMS[key],
+			param = TUNE_PARAMS.find((p) => p.key === key);
+		let v = raw;
+		if (kind === 'int' || kind === 'number' || (param && !param.options))
+			v = kind === 'int' ? parseInt(raw, 10) : parseFloat(raw);
+		else if (kind === 'flag') v = raw === '1' || raw === 'true';
+		else if (kind === 'picks')
+			v = Object.fromEntries(raw.split(',').map((pair) => pair.split(':')));
+		if ((!kind && !param) || Number.isNaN(v)) {
+			console.warn(`URL: ignoring ${key}=${raw}`);
+			continue;
+		}
+		if (param) tune[key] = v;
+		else state[key] = v;
+	}
+	if (Object.keys(tune).length) state.tune = tune;
+	return state;
+}
+
+// Dataset first (before its devices load), the rest once the page is built
+function restoreUrlDataset(state) {
+	if (!state.dataset) return;
+	const i = DATASETS.findIndex((ds) => ds.id === state.dataset);
+	if (i < 0) console.warn(`URL: unknown dataset "${state.dataset}"`);
+	else datasetIndex = i;
+	delete state.dataset;
+}
+function restoreUrlState(state) {
+	applySheetState(state, (err) => console.warn(`URL: ${err.message}`));
+	shareUrlLive = true;
+	updateSheetUrl();
+}
+
+// Called by drawSheet(): the address bar always reopens what is on screen.
+// Opaque origins (file://, jsdom) refuse replaceState; the state still
+// reaches the manifests
+function updateSheetUrl() {
+	if (!shareUrlLive) return;
+	try {
+		history.replaceState(null, '', `?${sheetQuery()}`);
+	} catch (err) {
+		shareUrlLive = false;
+	}
+}
+
+//// Manifest //////////////////////////////////////////////////////////////////
+// sheets: indices covered by the export (default: the sheet on screen)
+function sheetManifest(sheets = [sheetIndex]) {
+	const ds = DATASETS[datasetIndex] || {};
+	const current = sheetIndex;
+	const manifest = {
+		manifest: SHARE_MANIFEST_VERSION,
+		created: new Date().toISOString(),
+		url: `?${sheetQuery()}`,
+		state: sheetState(),
+		data: {
+			source: ds.source || null,
+			devices: devices.length,
+			fingerprint: dataFingerprint(),
+		},
+		rules: RULES,
+		overrides: STAMP_OVERRIDES,
+		sheets: [],
+	};
+	for (const s of sheets) {
+		sheetIndex = s;
+		const stamps = [];
+		forEachStamp((d) =>
+			stamps.push({
+				id: d.id,
+				name: d.name,
+				seed: hash(`${stampSeed(d)}::${d.id}`),
+				border: stampBorder(d),
+				dither: stampDither(d),
+			})
+		);
+		manifest.sheets.push({ sheet: s + 1, layout: sheetLayout(), stamps });
+	}
+	sheetIndex = current;
+	return manifest;
+}
+
+// Device records as parsed (editor changes included), so a replay can tell
+// the data moved on since the print run
+function dataFingerprint() {
+	return hash(JSON.stringify(devices)).toString(16).padStart(8, '0');
+}
+
+// Rules and stamp overrides, then state; the manifest's dataset must already
+// be showing
+function applySheetManifest(manifest) {
+	if (!manifest || manifest.manifest !== SHARE_MANIFEST_VERSION)
+		throw new Error(
+			`Not a sheet manifest (expected { manifest: ${SHARE_MANIFEST_VERSION}, state, rules })`
+		);
+	if (manifest.data && manifest.data.fingerprint !== dataFingerprint())
+		console.warn(
+			`Manifest: ${datasetId()} changed since ${manifest.created} — stamps may differ`
+		);
+	if (manifest.rules) setRules(manifest.rules);
+	if (manifest.overrides) STAMP_OVERRIDES = manifest.overrides;
+	applySheetState(manifest.state);
+}
+
+function exportManifest(name, sheets) {
+	downloadBytes(
+		JSON.stringify(sheetManifest(sheets), null, 2),
+		`${name}_manifest.json`,
+		'application/json'
+	);
+}
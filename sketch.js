@@ -1,71 +1,224 @@
 /* Department of Lost Circuits — stamp grid generator
-   - 5×4 grid (20 stamps) on 8×10" @ 300ppi (2400×3000) per sheet
-   - Keys: s=save, r=reseed, ←/→ navigate, l=RISO preview, e=export plates
+   - Sheet format from formats.js (default: 5×4 grid on 8×10" @ 300ppi,
+     2400×3000); stamps are laid out in base units and scaled to the module
+   - Datasets from datasets.json (CSV / JSON / YAML), one series each
+   - Redraws render only what changed: stamps and processed photos are
+     cached (cache.js)
+   - Keys: s=save, r=reseed, ←/→ sheets, ↑/↓ datasets, l=RISO preview,
+     e=export plates, i=cycle ink separation, d=cycle sheet dither,
+     p=print PDF, k=cut lines (SVG + DXF), v=editable SVG, m=press
+     simulation, n=next pull
 */
 
-//// Canvas & Grid /////////////////////////////////////////////////////////////
-const CANVAS_W = 2400,
+//// Canvas & Grid (set by applySheetFormat) /////////////////////////////////
+let SHEET_FORMAT = '8x10'; // preset or custom spec, see formats.js
+let CANVAS_W = 2400,
 	CANVAS_H = 3000;
-const COLS = 5,
+let PPI = 300; // print resolution (PDF page size = canvas / PPI inches)
+let COLS = 5,
 	ROWS = 4;
-const MARGIN = 100,
+let MARGIN = 100,
 	GUTTER = 60;
+const STAMP_BASE_W = 392; // stamp layout units: the 8×10 @ 300ppi module width
 const STAMP_INSET = 18;
 
-//// Layout constants //////////////////////////////////////////////////////////
-const FRAME_PAD = 12; // distance from stamp edge to outer frame
-const INNER_INSET = 5; // offset from outer to inner frame
-const PRICE_D = 50; // price circle diameter
-const BADGE = 32; // category icon size
-const STAR_Y_OFFSET = 70; // below inner top
-const STAMP_BG = 248; // unified paper tone for stamp & image box
+//// Layout constants (live-tunable, see panel.js) /////////////////////////////
+let FRAME_PAD = 12; // distance from stamp edge to outer frame
+let INNER_INSET = 5; // offset from outer to inner frame
+let PRICE_D = 50; // price circle diameter
+let BADGE = 32; // category icon size
+let STAR_Y_OFFSET = 70; // below inner top
+let STAMP_BG = 248; // unified paper tone for stamp & image box
 
 // ⬇️ Text readability tweaks (centralized sizes + spacing)
-const TXT_NAME_1 = 22;
-const TXT_NAME_2 = 18;
-const TXT_YEARS = 15;
-const TXT_META = 12; // region • mfg
-const TXT_FORM = 11; // form factor
-const TXT_REASON = 10; // reason lines
-const TXT_REASON_LINE_GAP = 12;
+let TXT_NAME_1 = 22;
+let TXT_NAME_2 = 18;
+let TXT_YEARS = 15;
+let TXT_META = 12; // region • mfg
+let TXT_FORM = 11; // form factor
+let TXT_REASON = 10; // reason lines
+let TXT_REASON_LINE_GAP = 12;
+let TXT_BLOCK_BOTTOM = 130; // name line, measured up from the stamp bottom
 
 // ⬇️ Make images breathe less (smaller white space around images)
-const IMG_MARGIN = 32; // was 45
-const IMG_TEXT_FOOTER = 140; // was 150 (gives a touch more image height)
+let IMG_MARGIN = 32; // was 45
+let IMG_TEXT_FOOTER = 140; // was 150 (gives a touch more image height)
 
 //// RISO (lazy init) //////////////////////////////////////////////////////////
 let USE_RISO = false; // toggle with 'L' (only if risoReady())
-let L_BLACK = null,
-	L_TEAL = null;
-const TEAL_NAME = 'TEAL'; // choose 'TEAL' or other ink names
+let RISO_LAYERS = {}; // ink name → Riso layer, for the active separation
+let STAMP_BUFFERS = {}; // ink name → stamp-sized scratch (drawStampRiso)
+let RISO_PASS = 0; // bumped per plate render: late worker results are dropped
+let RISO_PENDING = []; // this pass's photos still out with a dither worker
 let SHOW_TRACES = true; // press 'C' to toggle
+let PERF_GAUGE = 14; // perforation holes per 20 mm (see cutlines.js)
 
 function risoReady() {
 	return typeof Riso !== 'undefined';
 }
 function ensureRisoLayers() {
 	if (!risoReady()) return false;
-	if (!L_BLACK || !L_TEAL) {
-		L_BLACK = new Riso('BLACK');
-		L_TEAL = new Riso(TEAL_NAME);
-	}
+	for (const ink of separationInks())
+		if (!RISO_LAYERS[ink]) RISO_LAYERS[ink] = new Riso(ink);
 	return true;
 }
+// Layers are canvas-sized and per ink: drop them (and their Riso.channels
+// slot) on resize or when the separation changes
+function resetRisoLayers() {
+	for (const layer of Object.values(RISO_LAYERS)) {
+		const i = Riso.channels.indexOf(layer);
+		if (i >= 0) Riso.channels.splice(i, 1); // -1 would drop another ink's
+		layer.remove();
+	}
+	RISO_LAYERS = {};
+	disposeStampBuffers();
+}
+// Scratch buffers are module-sized and per ink, reused stamp to stamp
+function disposeStampBuffers() {
+	for (const pg of Object.values(STAMP_BUFFERS)) pg.remove();
+	STAMP_BUFFERS = {};
+}
+
+//// RISO separations //////////////////////////////////////////////////////////
+// Stamp element → ink (any RISOCOLORS name). Every element needs an ink except
+// 'seal', an optional solid disc under the price stamp. 'image' may also be a
+// list of 2–3 inks to split the photo across (colour separation). Plates are
+// numbered in order of first use, so list BLACK elements first.
+const SEPARATIONS = {
+	duotone: {
+		circuits: 'BLACK',
+		frame: 'BLACK',
+		price: 'BLACK',
+		stars: 'BLACK',
+		badge: 'BLACK',
+		text: 'BLACK',
+		image: 'TEAL',
+	},
+	'pink-stars': {
+		circuits: 'BLACK',
+		frame: 'BLACK',
+		price: 'BLACK',
+		badge: 'BLACK',
+		text: 'BLACK',
+		image: 'TEAL',
+		stars: 'FLUORESCENTPINK',
+	},
+	'yellow-seal': {
+		circuits: 'BLACK',
+		frame: 'BLACK',
+		price: 'BLACK',
+		stars: 'BLACK',
+		badge: 'BLACK',
+		text: 'BLACK',
+		image: 'TEAL',
+		seal: 'YELLOW',
+	},
+	'four-drum': {
+		circuits: 'BLACK',
+		frame: 'BLACK',
+		price: 'BLACK',
+		text: 'BLACK',
+		image: 'TEAL',
+		stars: 'FLUORESCENTPINK',
+		badge: 'FLUORESCENTPINK',
+		seal: 'YELLOW',
+	},
+	'photo-duo': {
+		circuits: 'BLACK',
+		frame: 'BLACK',
+		price: 'BLACK',
+		stars: 'BLACK',
+		badge: 'BLACK',
+		text: 'BLACK',
+		image: ['TEAL', 'FLUORESCENTPINK'],
+	},
+	'photo-trio': {
+		circuits: 'BLACK',
+		frame: 'BLACK',
+		price: 'BLACK',
+		stars: 'BLACK',
+		badge: 'BLACK',
+		text: 'BLACK',
+		image: ['TEAL', 'FLUORESCENTPINK', 'YELLOW'],
+	},
+};
+let SEPARATION = 'duotone'; // press 'I' to cycle
+
+// One stamp renderer for every target: the elements in draw order, each
+// routed to its ink by the separation (paper: no ink, screen only; raster:
+// dithered, drawn to the Riso layer rather than a scratch PG).
+// draw(g, d, x, y, w, h, look), look = { plate, ink, layers, res }
+const STAMP_ELEMENTS = [
+	{ name: 'panel', paper: true, draw: drawStampPanel },
+	{ name: 'seal', draw: drawPriceSeal },
+	{ name: 'circuits', draw: drawCircuits },
+	{ name: 'image', raster: true, draw: drawStampImage },
+	{ name: 'frame', draw: drawStampFrame },
+	{ name: 'price', draw: drawPriceStamp },
+	{ name: 'stars', draw: drawRarityStars },
+	{ name: 'badge', draw: drawCategoryBadge },
+	{ name: 'text', draw: drawStampText },
+];
+
+// The drawing calls elements may use: a render target is the main canvas
+// (p5.instance), a p5.Graphics plate, a Riso layer, a PdfLayer (pdf.js) or
+// an SvgLayer (svg.js, which also takes beginGroup / endGroup)
+const RENDER_TARGET_API = [
+	'push',
+	'pop',
+	'translate',
+	'scale',
+	'fill',
+	'noFill',
+	'stroke',
+	'noStroke',
+	'strokeWeight',
+	'rect',
+	'circle',
+	'ellipse',
+	'arc',
+	'line',
+	'triangle',
+	'beginShape',
+	'vertex',
+	'endShape',
+	'textAlign',
+	'textSize',
+	'textStyle',
+	'textWidth',
+	'text',
+	'image',
+];
+
+function separationInks() {
+	return [...new Set(Object.values(SEPARATIONS[SEPARATION]).flat())];
+}
+function inkColor(name) {
+	const ink = RISOCOLORS.find((c) => c.name === name);
+	if (!ink) throw new Error(`Unknown RISO ink "${name}"`);
+	return ink.color;
+}
 
 // Auto-levels before dither (percentile clip + gamma)
-const LEVELS_CLIP_LOW = 0.05; // 5th percentile → black
-const LEVELS_CLIP_HIGH = 0.95; // 95th percentile → white
-const LEVELS_GAMMA = 0.95; // <1.0 = a bit more contrast
+let LEVELS_CLIP_LOW = 0.05; // 5th percentile → black
+let LEVELS_CLIP_HIGH = 0.95; // 95th percentile → white
+let LEVELS_GAMMA = 0.95; // <1.0 = a bit more contrast
+
+// Dither controls (methods in dither.js)
+let DITHER_GAIN = 1.15; // already present; 1.05–1.30
+let DITHER_BIAS = -8; // already present; -20..+10
+let DITHER_METHOD = 'bayer8'; // default for every sheet
+let SHEET_DITHER = {}; // sheet index → method, cycled with 'D'
 
-// Dither controls
-const DITHER_GAIN = 1.15; // already present; 1.05–1.30
-const DITHER_BIAS = -8; // already present; -20..+10
-const DITHER_MATRIX = '8x8'; // '4x4' or '8x8' (smoother)
+// Multi-ink photo separation (image: [inks] in SEPARATIONS)
+const PHOTO_SEP_STEPS = 0.1; // coverage levels tried per ink (0.1 → 11)
+const PHOTO_SEP_PERCEPTUAL = true; // nearest overprint in Lab, not RGB
 
 //// Globals ///////////////////////////////////////////////////////////////////
-let table,
-	devices = [],
+let devices = [],
 	images = {};
+let deviceRows = []; // current dataset as parsed (raw strings per column)
+let dataReport = { records: [], issues: [] }; // see schema.js
 let grid;
 let sheetIndex = 0,
 	baseSeed = 1337;
@@ -89,107 +242,174 @@ function getInnerFrame(x, y, w, h) {
 	};
 }
 
+//// Datasets (datasets.json) ////////////////////////////////////////////////
+// { id, title, subtitle?, source: .csv | .json | .yaml, theme?, overrides? }
+// per series; id prefixes every file name. theme: { separation, paper,
+// accent } — unset keys fall back to the page defaults. overrides: per-stamp
+// JSON file, see overrides.js.
+let DATASETS = [];
+let datasetIndex = 0;
+let DATASET_DEFAULTS = null; // theme + header as the page loaded
+
 //// PRELOAD & SETUP ///////////////////////////////////////////////////////////
+// Manifest first, then every source as text (p5 still counts loads started
+// from a preload callback)
 function preload() {
-	table = loadTable('devices.csv', 'csv', 'header');
+	loadJSON('datasets.json', (manifest) => {
+		DATASETS = manifest.datasets;
+		for (const ds of DATASETS) {
+			ds.lines = loadStrings(ds.source);
+			if (ds.overrides) ds.overrideFile = loadJSON(ds.overrides);
+		}
+	});
+	loadJSON('rules.json', (json) => setRules(json.rules));
 }
 
 function setup() {
 	pixelDensity(1);
 	const cnv = createCanvas(CANVAS_W, CANVAS_H);
 	cnv.parent('canvas-container'); // ensure visible in the page
+	cnv.mousePressed(inspectStampAt); // see overrides.js
+
+	const shared = parseSheetQuery(location.search); // see share.js
+	restoreUrlDataset(shared);
+	applyDatasetTheme();
+	loadDevices(drawSheet);
+	buildGrid();
+	setupTunePanel(); // page defaults first, then the URL's values
+	restoreUrlState(shared);
+	setupDatasetPicker();
+	setupFormatPicker();
+	setupPerfPicker();
+	setupRecordEditor();
+	setupStampInspector();
+}
 
-	if (!table || table.getRowCount() === 0) {
-		console.error('CSV missing or empty');
+// Build the current dataset's device records + queue images; onImagesDone
+// runs once every queued image has loaded or failed (shared with catalog.js)
+function loadDevices(onImagesDone) {
+	const ds = DATASETS[datasetIndex];
+	devices = [];
+	let rows = [];
+	try {
+		if (ds) rows = parseDeviceSource(ds.lines.join('\n'), ds.source);
+	} catch (err) {
+		console.error(err.message);
+	}
+	deviceRows = rows;
+	loadStampOverrides();
+	if (rows.length === 0) {
+		console.error(`${ds ? ds.source : 'datasets.json'} missing or empty`);
 		return;
 	}
+	useDeviceRows(rows, onImagesDone);
+}
 
-	// Build device records + queue images
-	for (let r = 0; r < table.getRowCount(); r++) {
-		const row = table.getRow(r);
-
-		// Parse years
-		const yrsRaw = (row.getString('years_active') || '').toLowerCase().trim();
-		const yrs = yrsRaw.replace(/[—–]/g, '-').replace(/\s+/g, ' ');
-		const m = yrs.match(/(\d{4})\s*-\s*(\d{4}|present)/);
-		let release_year = NaN,
-			discontinued = NaN;
-		if (m) {
-			release_year = int(m[1]);
-			discontinued = m[2] === 'present' ? int(m[1]) : int(m[2]);
-		} else {
-			const yy = yrs.match(/\d{4}/g);
-			if (yy && yy.length) release_year = int(yy[0]);
-			if (yy && yy.length > 1) discontinued = int(yy[1]);
-		}
-		if (!isNaN(release_year) && isNaN(discontinued))
-			discontinued = release_year;
-
-		// Price
-		const priceRaw = row.getString('original_price') || '';
-		const priceMatch = priceRaw.match(/[\d,]+/);
-		const price = priceMatch ? parseFloat(priceMatch[0].replace(/,/g, '')) : 0;
-
-		// Units
-		const unitsRaw = row.getString('units_sold') || '';
-		const unitsMatch = unitsRaw.match(/[\d,]+/);
-		const units_sold = unitsMatch
-			? parseInt(unitsMatch[0].replace(/,/g, ''))
-			: 0;
-
-		const rec = {
-			id: row.getString('name') || String(r + 1),
-			name: row.getString('name') || `Device ${r + 1}`,
-			category: row.getString('category') || '',
-			region: row.getString('region') || '',
-			manufacturer: row.getString('manufacturer') || '',
-			original_price: priceRaw,
-			price_value: price,
-			units_sold_raw: unitsRaw,
-			units_sold,
-			availability_today: row.getString('availability_today') || '',
-			connectivity: row.getString('connectivity') || '',
-			form_factor: row.getString('form_factor') || '',
-			reason_for_obsolescence: row.getString('reason_for_obsolescence') || '',
-			release_year,
-			discontinued,
-			image_path: (row.getString('image_path') || '').trim(),
-		};
+// Source rows → device records + data report; queues images not loaded yet
+// (also fed by the record editor, see editor.js)
+function useDeviceRows(rows, onImagesDone) {
+	const settle = () => {
+		if (imagesLoaded + imagesFailed === imagesToLoad) onImagesDone();
+	};
+
+	devices = [];
+	dataReport = validateDevices(rows, { dithers: Object.keys(DITHERS) });
+	showDataReport();
+
+	for (const rec of dataReport.records) {
 		devices.push(rec);
 
-		// Queue image loading (count + redraw when all done)
+		// Queue image loading (count + callback when all done)
 		if (rec.image_path && !images[rec.image_path]) {
 			imagesToLoad++;
 			images[rec.image_path] = loadImage(
 				rec.image_path,
 				() => {
 					imagesLoaded++;
-					if (imagesLoaded + imagesFailed === imagesToLoad) drawSheet();
+					settle();
 				},
 				(err) => {
 					imagesFailed++;
 					console.error('Image load failed:', rec.image_path, err);
-					if (imagesLoaded + imagesFailed === imagesToLoad) drawSheet();
+					dataReport.issues.push({
+						row: rec.row,
+						name: rec.name,
+						field: 'image_path',
+						message: `image not found "${rec.image_path}"`,
+					});
+					showDataReport();
+					settle();
 				}
 			);
 		}
 	}
+}
+
+// Title, separation, paper tone and header accent of the current dataset
+function applyDatasetTheme() {
+	const ds = DATASETS[datasetIndex] || {};
+	const header = select('header h1'),
+		subtitle = select('header .subtitle');
+	if (!DATASET_DEFAULTS)
+		DATASET_DEFAULTS = {
+			separation: SEPARATION,
+			paper: STAMP_BG,
+			accent: '',
+			title: header ? header.html() : '',
+			subtitle: subtitle ? subtitle.html() : '',
+		};
+	const theme = { ...DATASET_DEFAULTS, ...ds.theme };
+
+	if (theme.separation !== SEPARATION) {
+		if (!SEPARATIONS[theme.separation])
+			console.warn(`${ds.id}: unknown separation "${theme.separation}"`);
+		else {
+			SEPARATION = theme.separation;
+			resetRisoLayers();
+			if (USE_RISO) ensureRisoLayers();
+		}
+	}
+	STAMP_BG = theme.paper;
+	if (header) header.html(ds.title || DATASET_DEFAULTS.title);
+	if (subtitle) subtitle.html(ds.subtitle || DATASET_DEFAULTS.subtitle);
+	select('header').style('border-bottom-color', theme.accent);
+}
 
-	// Grid
-	const innerW = width - MARGIN * 2;
-	const innerH = height - MARGIN * 2;
+// Data-quality report under the sheet (index.html #data-report)
+function showDataReport() {
+	const { records, issues } = dataReport;
+	if (issues.length)
+		console.warn(`devices.csv: ${issues.length} issue(s), see the data report`);
+	const box = select('#data-report');
+	if (!box) return;
+	select('summary', box).html(
+		issues.length
+			? `Data report: ${issues.length} issue(s) in ${records.length} devices`
+			: `Data report: ${records.length} devices, no issues`
+	);
+	const list = select('ul', box);
+	list.html('');
+	for (const issue of issues) {
+		const li = createElement('li');
+		li.elt.textContent = formatIssue(issue); // CSV text, never markup
+		li.parent(list);
+	}
+	if (issues.length) box.addClass('has-issues');
+	else box.removeClass('has-issues');
+}
+
+// Sheet grid always spans the full print page, whatever the canvas size
+function buildGrid() {
 	grid = new EasyGrid({
 		x: MARGIN,
 		y: MARGIN,
-		width: innerW,
-		height: innerH,
+		width: CANVAS_W - MARGIN * 2,
+		height: CANVAS_H - MARGIN * 2,
 		cols: COLS,
 		rows: ROWS,
 		gutterX: GUTTER,
 		gutterY: GUTTER,
 	});
-
-	drawSheet();
 }
 
 function draw() {
@@ -198,7 +418,9 @@ function draw() {
 
 //// MAIN SHEET RENDER /////////////////////////////////////////////////////////
 function drawSheet() {
-	if (!table || devices.length === 0 || !grid) {
+	updateSheetUrl();
+	markInspectedStamp();
+	if (devices.length === 0 || !grid) {
 		background(255);
 		fill(0);
 		textAlign(CENTER, CENTER);
@@ -222,24 +444,12 @@ function drawSheet() {
 		return;
 	}
 
-	const perSheet = COLS * ROWS;
-	const start = sheetIndex * perSheet;
-	const end = min(start + perSheet, devices.length);
-
 	// RGB path (or when RISO not ready)
 	if (!USE_RISO || !ensureRisoLayers()) {
+		endRisoPass();
 		background(255);
-		for (let i = start; i < end; i++) {
-			const d = devices[i],
-				idx = i - start;
-			const col = idx % COLS,
-				row = floor(idx / COLS);
-			const cell = grid.getModule(col, row);
-			const seed = hash(`${baseSeed}::${d.id}`);
-			randomSeed(seed);
-			noiseSeed(seed);
-			drawStamp(d, cell.x, cell.y, cell.width, cell.height);
-		}
+		const look = sheetLook('rgb');
+		forEachStamp((d, f) => drawStamp(d, f, stampCacheKey(look, d, f)));
 
 		// Mode badge
 		push();
@@ -254,647 +464,282 @@ function drawSheet() {
 		return;
 	}
 
-	// RISO preview path
-	background(245);
-	clearRiso();
-
-	drawRegistrationMarks(L_BLACK);
-	drawRegistrationMarks(L_TEAL);
+	// RISO preview path: vectors now, photos as the dither workers return them
+	beginRisoPass();
+	for (const plate of risoPlates()) drawRegistrationMarks(plate.layer);
+	const look = sheetLook('plates');
+	forEachStamp((d, f) => drawStampRiso(d, f, stampCacheKey(look, d, f)));
+	compositeRiso(RISO_PENDING.length > 0);
+	if (RISO_PENDING.length)
+		risoSettled().then(
+			(current) => current && compositeRiso(false),
+			(err) => {
+				console.warn(err.message); // workers are off now: redo it here
+				drawSheet();
+			}
+		);
+}
 
-	for (let i = start; i < end; i++) {
-		const d = devices[i],
-			idx = i - start;
-		const col = idx % COLS,
-			row = floor(idx / COLS);
-		const cell = grid.getModule(col, row);
-		const seed = hash(`${baseSeed}::${d.id}`);
-		randomSeed(seed);
-		noiseSeed(seed);
-		drawStampRiso(d, cell.x, cell.y, cell.width, cell.height);
-	}
-	drawRiso();
+// Paper on the canvas, the plates multiplied over it (pressed when
+// simulating) and the mode badge
+function compositeRiso(dithering) {
+	background(245);
+	forEachStamp((d, f) =>
+		drawStampTo((ink) => (ink ? null : p5.instance), d, f, true)
+	);
+	if (SIMULATE_PRESS) drawRisoPressed(risoPlates());
+	else drawRiso();
 
 	// Mode badge
+	const label = `RISO: ${separationInks().join(' + ')}${
+		SIMULATE_PRESS ? ` · press pull ${PRESS_PULL + 1}` : ''
+	}${dithering ? ' · dithering…' : ''}`;
 	push();
 	noStroke();
+	textSize(12);
 	fill(0, 180);
-	rect(12, 12, 190, 28, 6);
+	rect(12, 12, textWidth(label) + 24, 28, 6);
 	fill(255);
 	textAlign(LEFT, CENTER);
-	textSize(12);
-	text('RISO: BLACK + TEAL', 22, 26);
+	text(label, 22, 26);
 	pop();
 }
 
-//// ONE STAMP (RGB) ///////////////////////////////////////////////////////////
-function drawStamp(d, x, y, w, h) {
-	push();
-	// stamp panel
-	fill(STAMP_BG);
-	noStroke();
-	rect(
-		x + STAMP_INSET,
-		y + STAMP_INSET,
-		w - STAMP_INSET * 2,
-		h - STAMP_INSET * 2
-	);
-
-	// content
-	drawCircuits(d, x, y, w, h);
-	drawImage(d, x, y, w, h);
-
-	// Border (varies per stamp)
-	const borderStyle = pickBorderStyle();
-	drawBorder(d, x, y, w, h, borderStyle);
-
-	// Marks
-	drawPriceStamp(d, x, y, w, h);
-	drawRarityStars(d, x, y, w, h);
-	drawCategoryBadge(d, x, y, w, h);
-	drawText(d, x, y, w, h);
-
-	pop();
+// Visit the current sheet's devices with their stamp frame, seeded per stamp
+function forEachStamp(fn) {
+	const perSheet = COLS * ROWS;
+	const start = sheetIndex * perSheet;
+	const end = min(start + perSheet, devices.length);
+	for (let i = start; i < end; i++) {
+		const d = devices[i],
+			idx = i - start;
+		const cell = grid.getModule(idx % COLS, floor(idx / COLS));
+		seedStamp(d);
+		fn(d, stampFrame(cell));
+	}
 }
 
-//// ONE STAMP (RISO) //////////////////////////////////////////////////////////
-function drawStampRiso(d, x, y, w, h) {
-	// Paper panel (screen only to see the card)
-	push();
-	noStroke();
-	fill(STAMP_BG);
-	rect(
-		x + STAMP_INSET,
-		y + STAMP_INSET,
-		w - STAMP_INSET * 2,
-		h - STAMP_INSET * 2
-	);
-	pop();
-
-	// Create a PG for BLACK content and render
-	const pgBlack = createGraphics(width, height);
-	pgBlack.pixelDensity(1);
-
-	// Circuits / Border / Price / Stars / Badge / Text into pgBlack
-	drawCircuits_toPG(pgBlack, d, x, y, w, h);
-
-	const style = pickBorderStyle(); // seeded already → deterministic
-	drawBorder_toPG(pgBlack, d, x, y, w, h, style);
-	drawPriceStamp_toPG(pgBlack, d, x, y, w, h);
-	drawRarityStars_toPG(pgBlack, d, x, y, w, h);
-	drawCategoryBadge_toPG(pgBlack, d, x, y, w, h);
-	drawText_toPG(pgBlack, d, x, y, w, h);
-
-	L_BLACK.image(pgBlack, 0, 0);
-
-	// TEAL dithered image
-	drawImageHalftone_toLayer(L_TEAL, d, x, y, w, h);
+// Grid cell → { x, y, s, w, h }: stamps are drawn in base units (w is always
+// STAMP_BASE_W) at (x, y), scaled by s to fill the module on any format
+function stampFrame(cell) {
+	const s = cell.width / STAMP_BASE_W;
+	return { x: cell.x, y: cell.y, s, w: STAMP_BASE_W, h: cell.height / s };
 }
 
-//// BORDER VARIETY (RGB) //////////////////////////////////////////////////////
-function pickBorderStyle() {
-	const styles = ['perforated', 'scalloped', 'zigzag', 'ticket'];
-	return styles[floor(random(styles.length))];
+// Same seed wherever a stamp is drawn (sheet, catalog, PDF)
+function seedStamp(d) {
+	const seed = hash(`${stampSeed(d)}::${d.id}`);
+	randomSeed(seed);
+	noiseSeed(seed);
 }
-function drawBorder(d, x, y, w, h, style = 'perforated') {
-	const bx = x + FRAME_PAD;
-	const by = y + FRAME_PAD;
-	const bw = w - FRAME_PAD * 2;
-	const bh = h - FRAME_PAD * 2;
-
-	// outer frame
-	push();
-	noFill();
-	stroke(0);
-	strokeWeight(3);
-	rect(bx, by, bw, bh, 3);
-	pop();
 
-	// inner frame
-	push();
-	noFill();
-	stroke(0);
-	strokeWeight(1.5);
-	rect(
-		bx + INNER_INSET + 5,
-		by + INNER_INSET + 5,
-		bw - (INNER_INSET + 5) * 2,
-		bh - (INNER_INSET + 5) * 2,
-		3
+// STAMP_CACHE key of a sheet stamp (cache.js): its record, photo, seed,
+// overrides, layout and frame, plus the sheet's look. Not the photo's
+// processing on the plates: that's IMAGE_CACHE's
+function stampCacheKey(look, d, f) {
+	const img = imageId(images[d.image_path]);
+	const o = stampOverride(d);
+	return cacheKey(look, d, img, stampSeed(d), o, sheetLayout(), f);
+}
+// What every stamp is drawn from besides itself: kind ('rgb' | 'plates'),
+// format, inks, traces, rules, the tuning panel's layout and text values
+function sheetLook(kind) {
+	const tuned = [...TUNE_GROUPS.Layout, ...TUNE_GROUPS.Text];
+	return cacheKey(
+		kind,
+		datasetId(),
+		SHEET_FORMAT,
+		SEPARATION,
+		SHOW_TRACES,
+		RULES,
+		tuned.map((p) => p.get())
 	);
-	pop();
-
-	// decorative edge
-	if (style === 'perforated') {
-		const step = 16,
-			r = 7,
-			inset = 5;
-		push();
-		noFill();
-		stroke(255);
-		strokeWeight(8);
-		for (let px = bx + step; px < bx + bw; px += step) {
-			arc(px, by + inset, r * 2, r * 2, PI, TWO_PI);
-			arc(px, by + bh - inset, r * 2, r * 2, 0, PI);
-		}
-		for (let py = by + step; py < by + bh; py += step) {
-			arc(bx + inset, py, r * 2, r * 2, HALF_PI, 3 * HALF_PI);
-			arc(bx + bw - inset, py, r * 2, r * 2, -HALF_PI, HALF_PI);
-		}
-		pop();
-	} else if (style === 'scalloped') {
-		// Smooth round scalloped edges (like the reference image)
-		const step = 22;
-		const r = 10;
-		noFill();
-		stroke(0);
-		strokeWeight(2);
-		// top & bottom
-		for (let px = bx; px < bx + bw; px += step) {
-			arc(px + step / 2, by, step, step, PI, TWO_PI);
-			arc(px + step / 2, by + bh, step, step, 0, PI);
-		}
-		// left & right
-		for (let py = by; py < by + bh; py += step) {
-			arc(bx, py + step / 2, step, step, HALF_PI, 3 * HALF_PI);
-			arc(bx + bw, py + step / 2, step, step, -HALF_PI, HALF_PI);
-		}
-		pop();
-	} else if (style === 'zigzag') {
-		const step = 14,
-			tri = 6;
-		push();
-		noStroke();
-		fill(0);
-		for (let px = bx; px < bx + bw; px += step) {
-			triangle(px, by, px + step / 2, by - tri, px + step, by);
-			triangle(px, by + bh, px + step / 2, by + bh + tri, px + step, by + bh);
-		}
-		for (let py = by; py < by + bh; py += step) {
-			triangle(bx, py, bx - tri, py + step / 2, bx, py + step);
-			triangle(bx + bw, py, bx + bw + tri, py + step / 2, bx + bw, py + step);
-		}
-		pop();
-	} else if (style === 'ticket') {
-		const notch = 14;
-		push();
-		noFill();
-		stroke(255);
-		strokeWeight(10);
-		arc(bx, by + bh / 2, notch * 2, notch * 2, -HALF_PI, HALF_PI);
-		arc(bx + bw, by + bh / 2, notch * 2, notch * 2, HALF_PI, -HALF_PI);
-		arc(bx + bw / 2, by, notch * 2, notch * 2, 0, PI);
-		arc(bx + bw / 2, by + bh, notch * 2, notch * 2, PI, 0);
-		pop();
-	}
-
-	// corner ticks
-	const tick = 18;
-	push();
-	stroke(0);
-	strokeWeight(1.5);
-	line(bx, by, bx + tick, by);
-	line(bx, by, bx, by + tick);
-	line(bx + bw, by, bx + bw - tick, by);
-	line(bx + bw, by, bx + bw, by + tick);
-	line(bx, by + bh, bx + tick, by + bh);
-	line(bx, by + bh, bx, by + bh - tick);
-	line(bx + bw, by + bh, bx + bw - tick, by + bh);
-	line(bx + bw, by + bh, bx + bw, by + bh - tick);
-	pop();
 }
 
-//// CIRCUITS (RGB) ////////////////////////////////////////////////////////////
-function drawCircuits(d, x, y, w, h) {
-	if (!SHOW_TRACES) return;
-	const yr = isNaN(d.release_year)
-		? 1990
-		: constrain(d.release_year, 1960, 2020);
-	const baseLines = floor(map(yr, 1960, 2020, 18, 7)); // fewer
-	const { ix, iy, iw, ih } = getInnerFrame(x, y, w, h);
-
-	// carve out a soft “no-print” zone for text/footer
-	const footerTop = y + h - 150; // matches your text block
-	push();
-	noFill();
-	stroke(0, 35); // ~14% black on screen
-	strokeWeight(1.2);
-	for (let i = 0; i < baseLines; i++) {
-		let px = random(ix, ix + iw),
-			py = random(iy, iy + ih - 60); // keep away from price/stars row
-		beginShape();
-		vertex(px, py);
-		for (let s = 0; s < 3; s++) {
-			// fewer segments
-			const step = random(22, 42),
-				dir = floor(random(4));
-			if (dir === 0) px += step;
-			else if (dir === 1) px -= step;
-			else if (dir === 2) py += step;
-			else py -= step;
-
-			// constrain inside inner frame and above footer/text
-			px = constrain(px, ix, ix + iw);
-			py = constrain(py, iy, min(iy + ih - 70, footerTop - 8));
-			vertex(px, py);
+//// ONE STAMP (every target) //////////////////////////////////////////////////
+// targets(ink, el) → where an element goes: ink is the separation's ink for
+// it (null for paper), el its STAMP_ELEMENTS entry (el.raster = the photo).
+// Return null to leave the element out. plate: solid ink as on the plates
+// and in the PDF, else the screen look (greys, paper fills, colour photo).
+// defer: photos may land later, dithered in a worker (RISO preview only).
+// Targets that keep groups (SvgLayer) get one per stamp and per element
+function drawStampTo(targets, d, f, plate, defer = false) {
+	const sep = SEPARATIONS[SEPARATION];
+	const placed = new Set();
+	for (const el of STAMP_ELEMENTS) {
+		const ink = el.paper ? null : sep[el.name];
+		if (!el.paper && !ink) continue;
+		const layers = [ink].flat().map((i) => targets(i, el));
+		if (!layers.every(Boolean)) continue;
+		for (const g of layers) {
+			if (placed.has(g)) continue;
+			checkRenderTarget(g);
+			placed.add(g);
+			g.push();
+			g.translate(f.x, f.y);
+			g.scale(f.s);
+			if (g.beginGroup) g.beginGroup(slugify(d.name));
 		}
-		endShape();
+		const grouped = [...new Set(layers)].filter((g) => g.beginGroup);
+		for (const g of grouped) g.beginGroup(el.name);
+		const g = layers[0];
+		g.push();
+		el.draw(g, d, 0, 0, f.w, f.h, { plate, ink, layers, res: f.s, defer });
+		g.pop();
+		for (const g of grouped) g.endGroup();
 	}
-	pop();
-}
-
-//// IMAGE (RGB) ///////////////////////////////////////////////////////////////
-function drawImage(d, x, y, w, h) {
-	const margin = IMG_MARGIN;
-	const imgX = x + STAMP_INSET + margin;
-	const imgY = y + STAMP_INSET + margin;
-	const imgW = w - (STAMP_INSET + margin) * 2;
-	const imgH = h - (STAMP_INSET + margin) * 2 - IMG_TEXT_FOOTER;
-
-	// unified paper behind PNGs
-	push();
-	fill(STAMP_BG);
-	noStroke();
-	rect(imgX, imgY, imgW, imgH);
-	pop();
-
-	const img = d.image_path ? images[d.image_path] : null;
-	if (img && img.width > 0) {
-		const imgRatio = img.width / img.height;
-		const boxRatio = imgW / imgH;
-		let drawW, drawH;
-		if (imgRatio > boxRatio) {
-			drawW = imgW;
-			drawH = imgW / imgRatio;
-		} else {
-			drawH = imgH;
-			drawW = imgH * imgRatio;
-		}
-		const cx = imgX + (imgW - drawW) / 2;
-		const cy = imgY + (imgH - drawH) / 2;
-		image(img, cx, cy, drawW, drawH);
+	for (const g of placed) {
+		if (g.endGroup) g.endGroup();
+		g.pop();
 	}
 }
 
-//// PRICE / STARS / BADGE (RGB) ///////////////////////////////////////////////
-function drawPriceStamp(d, x, y, w, h) {
-	if (d.price_value === 0) return;
-	const { ix, iy, iw } = getInnerFrame(x, y, w, h);
-	const cx = ix + iw - PRICE_D / 2;
-	const cy = iy + PRICE_D / 2;
-
-	let displayPrice = '$?';
-	if (d.original_price) {
-		const m = d.original_price.match(/(\D*)(\d+(?:[,\d]*)?)/);
-		if (m) {
-			const currency = (m[1] || '$').trim() || '$';
-			const amount = parseInt(m[2].replace(/,/g, ''));
-			displayPrice =
-				amount >= 1000
-					? currency + (amount / 1000).toFixed(1) + 'K'
-					: currency + amount;
-		}
-	}
-
-	push();
-	fill(255);
-	stroke(0);
-	strokeWeight(3);
-	circle(cx, cy, PRICE_D);
-	noFill();
-	strokeWeight(1);
-	stroke(0, 150);
-	circle(cx, cy, PRICE_D - 8);
-	pop();
-
-	push();
-	fill(0);
-	noStroke();
-	textAlign(CENTER, CENTER);
-	textSize(16);
-	textStyle(BOLD);
-	text(displayPrice, cx, cy - 3);
-	if (!isNaN(d.release_year)) {
-		textSize(8);
-		textStyle(NORMAL);
-		fill(0, 200);
-		text(d.release_year, cx, cy + 9);
-	}
-	pop();
+function checkRenderTarget(g) {
+	const missing = RENDER_TARGET_API.filter((m) => typeof g[m] !== 'function');
+	if (missing.length)
+		throw new Error(`Render target has no ${missing.join(', ')}`);
 }
 
-function drawRarityStars(d, x, y, w, h) {
-	if (!d.availability_today) return;
-
-	const avail = d.availability_today.toLowerCase();
-	let stars = 2;
-	if (avail.includes('very rare')) stars = 5;
-	else if (avail.includes('rare')) stars = 4;
-	else if (avail.includes('uncommon')) stars = 3;
-
-	const { ix, iy, iw } = getInnerFrame(x, y, w, h);
-	const starSize = 10,
-		spacing = 12;
-	const startX = ix + iw - 30 - stars * spacing;
-	const startY = iy + STAR_Y_OFFSET;
-
-	push();
-	fill(220, 180, 50);
-	noStroke();
-	for (let i = 0; i < stars; i++)
-		drawStar(startX + i * spacing, startY, starSize * 0.5, starSize * 0.2, 5);
-	pop();
-}
-function drawStar(x, y, r1, r2, n) {
-	beginShape();
-	for (let i = 0; i < n * 2; i++) {
-		const a = (TWO_PI / (n * 2)) * i - HALF_PI;
-		const r = i % 2 === 0 ? r1 : r2;
-		vertex(x + cos(a) * r, y + sin(a) * r);
-	}
-	endShape(CLOSE);
+// RGB: the whole stamp on the main canvas. key (the sheet): keep it in
+// STAMP_CACHE as a module-sized canvas and blit it from there next time
+function drawStamp(d, f, key) {
+	if (!key) return drawStampTo(() => p5.instance, d, f, false);
+	const { bx, by, bw, bh } = stampRect(f);
+	const cached = STAMP_CACHE.get(key);
+	if (cached) return image(cached, bx, by);
+	const pg = createGraphics(bw, bh);
+	pg.translate(-bx, -by);
+	drawStampTo(() => pg, d, f, false);
+	image(pg, bx, by);
+	STAMP_CACHE.set(key, pg, bw * bh * 4);
 }
 
-function drawCategoryBadge(d, x, y, w, h) {
-	const cat = (d.category || '').split('/')[0].trim().toLowerCase();
-	const { ix, iy, iw, ih } = getInnerFrame(x, y, w, h);
-
-	const bx = ix + iw - BADGE;
-	const by = iy + ih - BADGE;
-
-	push();
-	fill(250);
-	noStroke();
-	rect(bx - 6, by - 6, BADGE + 12, BADGE + 12, 8);
-	pop();
-	push();
-	translate(bx + BADGE / 2, by + BADGE / 2);
-	noFill();
-	stroke(0);
-	strokeWeight(2.5);
-
-	if (cat.includes('audio')) {
-		circle(0, 0, 22);
-		line(-10, 0, 10, 0);
-	} else if (cat.includes('storage')) {
-		rectMode(CENTER);
-		rect(0, 0, 22, 22, 2);
-	} else if (cat.includes('gaming')) {
-		drawPoly(0, 0, 11, 5);
-	} else if (
-		cat.includes('computing') ||
-		cat.includes('computer') ||
-		cat.includes('laptop')
-	) {
-		drawPoly(0, 0, 11, 6);
-	} else if (cat.includes('camera')) {
-		circle(0, 0, 20);
-		circle(0, 0, 12);
-	} else if (cat.includes('mobile') || cat.includes('phone')) {
-		rectMode(CENTER);
-		rect(0, 0, 14, 24, 3);
-	} else {
-		circle(0, 0, 20);
-	}
-	pop();
-}
-function drawPoly(x, y, r, n) {
-	beginShape();
-	for (let i = 0; i < n; i++) {
-		const a = -HALF_PI + TWO_PI * (i / n);
-		vertex(x + cos(a) * r, y + sin(a) * r);
+// RISO plates: linework into a stamp-sized scratch buffer per ink, then
+// composited onto its Riso layer (which turns it into ink); the photo is
+// dithered straight onto its layer (in a worker where they run). No paper:
+// compositeRiso() lays that on the canvas. key (the sheet): keep the inked
+// linework in STAMP_CACHE; a hit only draws the photo
+function drawStampRiso(d, f, key) {
+	const { bx, by, bw, bh } = stampRect(f);
+	const cached = key && STAMP_CACHE.get(key);
+	const used = {};
+	drawStampTo(
+		(ink, el) => {
+			if (!ink) return null;
+			if (el.raster) return RISO_LAYERS[ink];
+			if (cached) return null;
+			if (!used[ink]) used[ink] = stampBuffer(ink, bw, bh, bx, by);
+			return used[ink];
+		},
+		d,
+		f,
+		true,
+		true
+	);
+	// _image: p5.riso's plain image(), as the cached linework is ink already
+	if (cached) {
+		for (const ink in cached) RISO_LAYERS[ink]._image(cached[ink], bx, by);
+		return;
 	}
-	endShape(CLOSE);
+	const inked = {};
+	for (const ink in used)
+		inked[ink] = RISO_LAYERS[ink].image(used[ink], bx, by);
+	const bytes = bw * bh * 4 * Object.keys(inked).length;
+	if (key) STAMP_CACHE.set(key, inked, bytes);
 }
 
-//// TEXT (RGB) ////////////////////////////////////////////////////////////////
-function drawText(d, x, y, w, h) {
-	const cx = x + w / 2;
-	const baseY = y + h - 130;
-	const maxWidth = w - 70;
-
-	push();
-	noStroke();
+// Sheet px around a stamp's module, padded for what overhangs it
+function stampRect(f) {
+	const pad = ceil(GUTTER / 2); // strokes and ornaments overhang the module
+	const bx = floor(f.x) - pad,
+		by = floor(f.y) - pad;
+	const bw = ceil(f.x + f.w * f.s) + pad - bx,
+		bh = ceil(f.y + f.h * f.s) + pad - by;
+	return { bx, by, bw, bh };
+}
 
-	// name
-	textAlign(CENTER, CENTER);
-	fill(0);
-	textStyle(BOLD);
-	textSize(TXT_NAME_1);
-	const nameLines = wrapText(d.name, maxWidth, TXT_NAME_1);
-	text(nameLines[0], cx, baseY);
-	if (nameLines.length > 1) {
-		textSize(TXT_NAME_2);
-		text(nameLines[1], cx, baseY + 22);
+// The ink's scratch buffer, cleared and set to draw the sheet from (bx, by);
+// replaced only when the module size changes
+function stampBuffer(ink, w, h, bx, by) {
+	let pg = STAMP_BUFFERS[ink];
+	if (!pg || pg.width !== w || pg.height !== h) {
+		if (pg) pg.remove();
+		pg = STAMP_BUFFERS[ink] = createGraphics(w, h);
+		pg.pixelDensity(1);
 	}
+	pg.clear();
+	pg.resetMatrix();
+	pg.translate(-bx, -by);
+	return pg;
+}
 
-	// years
-	textStyle(NORMAL);
-	textSize(TXT_YEARS);
-	const yrs =
-		!isNaN(d.release_year) && !isNaN(d.discontinued)
-			? `${d.release_year}–${d.discontinued}`
-			: !isNaN(d.release_year)
-			? `${d.release_year}`
-			: '';
-	text(yrs, cx, baseY + 46);
-
-	// region • mfg
-	textSize(TXT_META);
-	fill(30); // darker for contrast
-	const region = d.region || '',
-		mfg = d.manufacturer || '';
-	text(region && mfg ? `${region} • ${mfg}` : region || mfg, cx, baseY + 64);
-
-	// form factor
-	textSize(TXT_FORM);
-	textStyle(ITALIC);
-	fill(50);
-	if (d.form_factor) text(d.form_factor, cx, baseY + 82);
-
-	// reason (wrap to ≤3 lines, centered)
-	textStyle(NORMAL);
-	textSize(TXT_REASON);
-	fill(60);
-	if (d.reason_for_obsolescence) {
-		const words = d.reason_for_obsolescence.trim().split(/\s+/);
-		const boxW = maxWidth,
-			maxLines = 3,
-			lineGap = TXT_REASON_LINE_GAP,
-			startY = baseY + 98;
-
-		textAlign(LEFT, TOP);
-		let lines = [],
-			cur = '';
-		for (let i = 0; i < words.length; i++) {
-			const test = cur ? cur + ' ' + words[i] : words[i];
-			if (textWidth(test) <= boxW) cur = test;
-			else {
-				lines.push(cur);
-				cur = words[i];
-				if (lines.length === maxLines - 1) break;
-			}
-		}
-		if (lines.length < maxLines && cur) lines.push(cur);
+// Plates as one target per ink (PdfLayers in the PDF); no paper
+function drawStampPlates(layers, d, f) {
+	drawStampTo((ink) => (ink ? layers[ink] : null), d, f, true);
+}
 
-		textAlign(CENTER, TOP);
-		for (let i = 0; i < lines.length; i++)
-			text(lines[i], cx, startY + i * lineGap);
-	}
-	pop();
+//// PANEL + FRAME /////////////////////////////////////////////////////////////
+// paper tone of the stamp (screen only: on press the paper is the sheet)
+function drawStampPanel(g, d, x, y, w, h) {
+	g.fill(STAMP_BG);
+	g.noStroke();
+	g.rect(
+		x + STAMP_INSET,
+		y + STAMP_INSET,
+		w - STAMP_INSET * 2,
+		h - STAMP_INSET * 2
+	);
 }
-function wrapText(str, maxW, sizePx) {
-	textSize(sizePx || TXT_NAME_1);
-	if (textWidth(str) <= maxW) return [str];
-	const words = str.split(/\s+/);
-	let line1 = '',
-		line2 = '',
-		split = false;
-	for (let w of words) {
-		const t = line1 ? line1 + ' ' + w : w;
-		if (!split && textWidth(t) <= maxW) line1 = t;
-		else {
-			split = true;
-			line2 += (line2 ? ' ' : '') + w;
-		}
-	}
-	return line2 ? [line1, line2] : [line1];
+
+// varies per stamp, see borders.js
+function drawStampFrame(g, d, x, y, w, h) {
+	drawStampBorder(g, stampBorder(d), x, y, w, h);
 }
 
-//// PG WRAPPERS FOR RISO BLACK ///////////////////////////////////////////////
-function drawCircuits_toPG(g, d, x, y, w, h) {
+//// CIRCUITS //////////////////////////////////////////////////////////////////
+// routed board behind the photo, see circuits.js
+function drawCircuits(g, d, x, y, w, h, look) {
 	if (!SHOW_TRACES) return;
-	g.stroke(0, 180); // lighter on plate so it doesn’t overpower teal
+	drawCircuitBoard(g, circuitBoard(d, x, y, w, h), look.plate);
+}
 
-	const yr = isNaN(d.release_year)
-		? 1990
-		: constrain(d.release_year, 1960, 2020);
-	const numLines = floor(map(yr, 1960, 2020, 25, 8));
-	const { ix, iy, iw, ih } = getInnerFrame(x, y, w, h);
-	g.noFill();
-	g.stroke(0, 220);
-	g.strokeWeight(1.5);
-	for (let i = 0; i < numLines; i++) {
-		let px = random(ix, ix + iw),
-			py = random(iy, iy + ih);
-		g.beginShape();
-		g.vertex(px, py);
-		for (let s = 0; s < 4; s++) {
-			const step = random(20, 45),
-				dir = floor(random(4));
-			if (dir === 0) px += step;
-			else if (dir === 1) px -= step;
-			else if (dir === 2) py += step;
-			else py -= step;
-			px = constrain(px, ix, ix + iw);
-			py = constrain(py, iy, iy + ih);
-			g.vertex(px, py);
-		}
-		g.endShape();
-	}
+//// IMAGE /////////////////////////////////////////////////////////////////////
+// The photo on screen; dithered on a plate, or split across look.layers
+// when the separation gives it several inks
+function drawStampImage(g, d, x, y, w, h, look) {
+	if (!look.plate) drawImage(g, d, x, y, w, h);
+	else if (Array.isArray(look.ink))
+		drawImageSeparated_toLayers(
+			look.layers,
+			look.ink,
+			d,
+			x,
+			y,
+			w,
+			h,
+			look.res,
+			look.defer
+		);
+	else drawImageHalftone_toLayer(g, d, x, y, w, h, look.res, look.defer);
 }
 
-function drawBorder_toPG(g, d, x, y, w, h, style = 'perforated') {
-	const bx = x + FRAME_PAD,
-		by = y + FRAME_PAD;
-	const bw = w - FRAME_PAD * 2,
-		bh = h - FRAME_PAD * 2;
+function drawImage(g, d, x, y, w, h) {
+	const box = imageBox(d, x, y, w, h);
+	if (!box) return;
 
-	g.noFill();
-	g.stroke(0);
-	g.strokeWeight(3);
-	g.rect(bx, by, bw, bh, 3);
-	g.strokeWeight(1.5);
-	g.rect(
-		bx + INNER_INSET + 5,
-		by + INNER_INSET + 5,
-		bw - (INNER_INSET + 5) * 2,
-		bh - (INNER_INSET + 5) * 2,
-		3
-	);
+	// unified paper behind PNGs (just the photo: the board shows around it)
+	g.fill(STAMP_BG);
+	g.noStroke();
+	g.rect(box.cx, box.cy, box.drawW, box.drawH);
+	g.image(box.img, box.cx, box.cy, box.drawW, box.drawH, ...box.src);
+}
 
-	if (style === 'perforated') {
-		const step = 16,
-			r = 7,
-			inset = 5;
-		g.noFill();
-		g.stroke(255);
-		g.strokeWeight(8);
-		for (let px = bx + step; px < bx + bw; px += step) {
-			g.arc(px, by + inset, r * 2, r * 2, PI, TWO_PI);
-			g.arc(px, by + bh - inset, r * 2, r * 2, 0, PI);
-		}
-		for (let py = by + step; py < by + bh; py += step) {
-			g.arc(bx + inset, py, r * 2, r * 2, HALF_PI, 3 * HALF_PI);
-			g.arc(bx + bw - inset, py, r * 2, r * 2, -HALF_PI, HALF_PI);
-		}
-	} else if (style === 'scalloped') {
-		const step = 18,
-			r = 6;
-		g.noStroke();
-		g.fill(255);
-		for (let px = bx; px <= bx + bw; px += step) {
-			g.circle(px, by, r * 2);
-			g.circle(px, by + bh, r * 2);
-		}
-		for (let py = by; py <= by + bh; py += step) {
-			g.circle(bx, py, r * 2);
-			g.circle(bx + bw, py, r * 2);
-		}
-	} else if (style === 'zigzag') {
-		const step = 14,
-			tri = 6;
-		g.noStroke();
-		g.fill(0);
-		for (let px = bx; px < bx + bw; px += step) {
-			g.triangle(px, by, px + step / 2, by - tri, px + step, by);
-			g.triangle(px, by + bh, px + step / 2, by + bh + tri, px + step, by + bh);
-		}
-		for (let py = by; py < by + bh; py += step) {
-			g.triangle(bx, py, bx - tri, py + step / 2, bx, py + step);
-			g.triangle(bx + bw, py, bx + bw + tri, py + step / 2, bx + bw, py + step);
-		}
-	} else if (style === 'ticket') {
-		const notch = 14;
-		g.noFill();
-		g.stroke(255);
-		g.strokeWeight(10);
-		g.arc(bx, by + bh / 2, notch * 2, notch * 2, -HALF_PI, HALF_PI);
-		g.arc(bx + bw, by + bh / 2, notch * 2, notch * 2, HALF_PI, -HALF_PI);
-		g.arc(bx + bw / 2, by, notch * 2, notch * 2, 0, PI);
-		g.arc(bx + bw / 2, by + bh, notch * 2, notch * 2, PI, 0);
-	}
+//// PRICE / STARS / BADGE /////////////////////////////////////////////////////
+function drawPriceStamp(g, d, x, y, w, h, look) {
+	const label = priceSealLabel(d); // see prices.js
+	if (!label) return;
+	const [cx, cy] = priceCenter(x, y, w, h);
 
-	// corner ticks
-	const tick = 18;
-	g.stroke(0);
-	g.strokeWeight(1.5);
-	g.line(bx, by, bx + tick, by);
-	g.line(bx, by, bx, by + tick);
-	g.line(bx + bw, by, bx + bw - tick, by);
-	g.line(bx + bw, by, bx + bw, by + tick);
-	g.line(bx, by + bh, bx + tick, by + bh);
-	g.line(bx, by + bh, bx, by + bh - tick);
-	g.line(bx + bw, by + bh, bx + bw - tick, by + bh);
-	g.line(bx + bw, by + bh, bx + bw, by + bh - tick);
-}
-
-function drawPriceStamp_toPG(g, d, x, y, w, h) {
-	if (d.price_value === 0) return;
-	const { ix, iy, iw } = getInnerFrame(x, y, w, h);
-	const cx = ix + iw - PRICE_D / 2,
-		cy = iy + PRICE_D / 2;
-	let txt = '$?';
-	if (d.original_price) {
-		const m = d.original_price.match(/(\D*)(\d+(?:[,\d]*)?)/);
-		if (m) {
-			const currency = (m[1] || '$').trim() || '$';
-			const amount = parseInt(m[2].replace(/,/g, ''));
-			txt =
-				amount >= 1000
-					? currency + (amount / 1000).toFixed(1) + 'K'
-					: currency + amount;
-		}
-	}
 	g.fill(255);
 	g.stroke(0);
 	g.strokeWeight(3);
@@ -903,37 +748,66 @@ function drawPriceStamp_toPG(g, d, x, y, w, h) {
 	g.strokeWeight(1);
 	g.stroke(0, 150);
 	g.circle(cx, cy, PRICE_D - 8);
+
 	g.noStroke();
 	g.fill(0);
 	g.textAlign(CENTER, CENTER);
 	g.textSize(16);
 	g.textStyle(BOLD);
-	g.text(txt, cx, cy - 3);
-	if (!isNaN(d.release_year)) {
+	const tw = g.textWidth(label.price);
+	if (tw > PRICE_D - 8) g.textSize((16 * (PRICE_D - 8)) / tw);
+	g.text(label.price, cx, cy - 3);
+	if (label.note) {
 		g.textSize(8);
 		g.textStyle(NORMAL);
-		g.text(d.release_year, cx, cy + 9);
+		g.fill(0, look.plate ? 255 : 200);
+		g.text(label.note, cx, cy + 9);
 	}
 }
 
-function drawRarityStars_toPG(g, d, x, y, w, h) {
+// Solid disc under the price stamp for a second ink (slight trap); shown in
+// that ink on screen
+function drawPriceSeal(g, d, x, y, w, h, look) {
+	if (!priceSealLabel(d)) return;
+	const [cx, cy] = priceCenter(x, y, w, h);
+	g.noStroke();
+	g.fill(look.plate ? 0 : inkColor(look.ink));
+	g.circle(cx, cy, PRICE_D + 6);
+}
+
+function priceCenter(x, y, w, h) {
+	const { ix, iy, iw } = getInnerFrame(x, y, w, h);
+	return [ix + iw - PRICE_D / 2, iy + PRICE_D / 2];
+}
+
+function drawRarityStars(g, d, x, y, w, h, look) {
 	if (!d.availability_today) return;
-	const avail = d.availability_today.toLowerCase();
-	let stars = 2;
-	if (avail.includes('very rare')) stars = 5;
-	else if (avail.includes('rare')) stars = 4;
-	else if (avail.includes('uncommon')) stars = 3;
+
+	const stars = rarityStars(d);
 	const { ix, iy, iw } = getInnerFrame(x, y, w, h);
-	const size = 10,
+	const starSize = 10,
 		spacing = 12;
-	const startX = ix + iw - 30 - stars * spacing,
-		startY = iy + STAR_Y_OFFSET;
+	const startX = ix + iw - 30 - stars * spacing;
+	const startY = iy + STAR_Y_OFFSET;
+
 	g.noStroke();
-	g.fill(0);
+	if (look.plate) g.fill(0);
+	else g.fill(220, 180, 50); // gold on screen
 	for (let i = 0; i < stars; i++)
-		drawStar_onPG(g, startX + i * spacing, startY, size * 0.5, size * 0.2, 5);
+		drawStar(
+			g,
+			startX + i * spacing,
+			startY,
+			starSize * 0.5,
+			starSize * 0.2,
+			5
+		);
+}
+// 2 (common) … 5 (very rare), from the availability_today text (rules.json)
+function rarityStars(d) {
+	return ruleValue('rarityStars', d);
 }
-function drawStar_onPG(g, x, y, r1, r2, n) {
+function drawStar(g, x, y, r1, r2, n) {
 	g.beginShape();
 	for (let i = 0; i < n * 2; i++) {
 		const a = (TWO_PI / (n * 2)) * i - HALF_PI;
@@ -943,116 +817,156 @@ function drawStar_onPG(g, x, y, r1, r2, n) {
 	g.endShape(CLOSE);
 }
 
-function drawCategoryBadge_toPG(g, d, x, y, w, h) {
-	const cat = (d.category || '').split('/')[0].trim().toLowerCase();
+// icon per canonical category from rules.json (badge), see badges.js; on
+// screen it sits on a paper tile
+function drawCategoryBadge(g, d, x, y, w, h, look) {
 	const { ix, iy, iw, ih } = getInnerFrame(x, y, w, h);
 	const bx = ix + iw - BADGE,
 		by = iy + ih - BADGE;
 
-	g.noFill();
+	if (!look.plate) {
+		g.fill(250);
+		g.noStroke();
+		g.rect(bx - 6, by - 6, BADGE + 12, BADGE + 12, 8);
+	}
 	g.stroke(0);
-	g.strokeWeight(2.5);
-	g.push();
 	g.translate(bx + BADGE / 2, by + BADGE / 2);
-	if (cat.includes('audio')) {
-		g.circle(0, 0, 22);
-		g.line(-10, 0, 10, 0);
-	} else if (cat.includes('storage')) {
-		g.rectMode(CENTER);
-		g.rect(0, 0, 22, 22, 2);
-	} else if (cat.includes('gaming')) {
-		drawPoly_onPG(g, 0, 0, 11, 5);
-	} else if (
-		cat.includes('computing') ||
-		cat.includes('computer') ||
-		cat.includes('laptop')
-	) {
-		drawPoly_onPG(g, 0, 0, 11, 6);
-	} else if (cat.includes('camera')) {
-		g.circle(0, 0, 20);
-		g.circle(0, 0, 12);
-	} else if (cat.includes('mobile') || cat.includes('phone')) {
-		g.rectMode(CENTER);
-		g.rect(0, 0, 14, 24, 3);
-	} else {
-		g.circle(0, 0, 20);
-	}
-	g.pop();
+	drawBadgeIcon(g, ruleValue('badge', d));
 }
-function drawPoly_onPG(g, x, y, r, n) {
-	g.beginShape();
-	for (let i = 0; i < n; i++) {
-		const a = -HALF_PI + TWO_PI * (i / n);
-		g.vertex(x + cos(a) * r, y + sin(a) * r);
-	}
-	g.endShape(CLOSE);
+
+//// IMAGE PLATE (dither, see dither.js) /////////////////////////////////////
+// res = device px per layout unit, so dots stay 1 px at any stamp scale.
+// defer: hand it to a dither worker if one can take it (see ditherPhoto)
+function drawImageHalftone_toLayer(layer, d, x, y, w, h, res = 1, defer) {
+	const box = imageBox(d, x, y, w, h);
+	if (!box) return;
+
+	// Normalize contrast: auto-levels + gentle gamma; dither with the
+	// stamp's / sheet's method, global gain/bias
+	const levels = [LEVELS_CLIP_LOW, LEVELS_CLIP_HIGH, LEVELS_GAMMA];
+	const gray = {
+		key: photoKey(box, res, 'levels', levels),
+		levels,
+		pixels: () => sourcePixels(box, res),
+	};
+	const job = {
+		method: stampDither(d),
+		opts: { gain: DITHER_GAIN, bias: DITHER_BIAS, dpi: PPI },
+	};
+	ditherPhoto(layer, box, res, gray, job, defer);
 }
 
-function drawText_toPG(g, d, x, y, w, h) {
-	const cx = x + w / 2,
-		baseY = y + h - 130,
-		maxWidth = w - 70;
-	g.noStroke();
+// Photo split across several inks: every pixel → the nearest overprint of
+// those inks (RisoChannelMapper, PHOTO_SEP_STEPS coverage levels each), then
+// each ink's coverage map is dithered onto its own plate
+function drawImageSeparated_toLayers(layers, inks, d, x, y, w, h, res, defer) {
+	const box = imageBox(d, x, y, w, h);
+	if (!box) return;
+
+	// one mapping gives every ink's coverage: made on the first cache miss
+	const colors = inks.map(inkColor);
+	const sep = [colors, PHOTO_SEP_STEPS, PHOTO_SEP_PERCEPTUAL];
+	let coverage = null;
+	inks.forEach((ink, i) => {
+		const gray = {
+			key: photoKey(box, res, 'separation', sep, i),
+			levels: null,
+			pixels: () => {
+				if (!coverage) coverage = coverageGrays(box, res, colors);
+				return coverage[i];
+			},
+		};
 
-	g.textAlign(CENTER, CENTER);
-	g.fill(0);
-	g.textStyle(BOLD);
-	g.textSize(TXT_NAME_1);
-	const nameLines = wrapText(d.name, maxWidth, TXT_NAME_1);
-	g.text(nameLines[0], cx, baseY);
-	if (nameLines.length > 1) {
-		g.textSize(TXT_NAME_2);
-		g.text(nameLines[1], cx, baseY + 22);
-	}
+		// AM screens: 30° apart per ink to keep moiré down
+		const job = {
+			method: stampDither(d),
+			opts: { dpi: PPI, angle: AM_ANGLE + i * 30 },
+		};
+		ditherPhoto(layers[i], box, res, gray, job, defer);
+	});
+}
 
-	g.textStyle(NORMAL);
-	g.textSize(TXT_YEARS);
-	const yrs =
-		!isNaN(d.release_year) && !isNaN(d.discontinued)
-			? `${d.release_year}–${d.discontinued}`
-			: !isNaN(d.release_year)
-			? `${d.release_year}`
-			: '';
-	g.text(yrs, cx, baseY + 46);
-
-	g.textSize(TXT_META);
-	const region = d.region || '',
-		mfg = d.manufacturer || '';
-	g.text(region && mfg ? `${region} • ${mfg}` : region || mfg, cx, baseY + 64);
-
-	g.textSize(TXT_FORM);
-	g.textStyle(ITALIC);
-	if (d.form_factor) g.text(d.form_factor, cx, baseY + 82);
-
-	g.textStyle(NORMAL);
-	g.textSize(TXT_REASON);
-	if (d.reason_for_obsolescence) {
-		const words = d.reason_for_obsolescence.trim().split(/\s+/);
-		const boxW = maxWidth,
-			maxLines = 3,
-			lineGap = TXT_REASON_LINE_GAP,
-			startY = baseY + 98;
-		g.textAlign(LEFT, TOP);
-		let lines = [],
-			cur = '';
-		for (let i = 0; i < words.length; i++) {
-			const test = cur ? cur + ' ' + words[i] : words[i];
-			if (g.textWidth(test) <= boxW) cur = test;
-			else {
-				lines.push(cur);
-				cur = words[i];
-				if (lines.length === maxLines - 1) break;
-			}
+// Each ink's coverage (alpha of its mapped channel) → gray RGBA pixels:
+// dark = ink, as the dither expects
+function coverageGrays(box, res, colors) {
+	const src = imageSource(box, res);
+	const channels = extractMappedChannels(
+		src,
+		PHOTO_SEP_STEPS,
+		PHOTO_SEP_PERCEPTUAL,
+		colors
+	);
+	src.remove();
+	return channels.map((channel) => {
+		const px = new Uint8ClampedArray(channel.pixels.length);
+		for (let p = 0; p < px.length; p += 4) {
+			px[p] = px[p + 1] = px[p + 2] = 255 - channel.pixels[p + 3];
+			px[p + 3] = 255;
+		}
+		return px;
+	});
+}
+
+// Gray → 1-bit photo on the layer, through IMAGE_CACHE (cache.js): the
+// dithered image if this gray was dithered so before, else from the cached
+// gray, else from gray.pixels() (auto-levelled first if gray.levels). With
+// defer and a worker for the method it's dithered there and placed when it's
+// back, with the layer's transform as of now; drawSheet() recomposites once
+// the pass's photos are in
+function ditherPhoto(layer, box, res, gray, job, defer) {
+	const key = cacheKey(gray.key, ditherParams(job.method, job.opts));
+	const place = (img) =>
+		layer.image(img, box.cx, box.cy, box.drawW, box.drawH);
+	const dithered = IMAGE_CACHE.get(key);
+	if (dithered) return place(dithered);
+
+	const [w, h] = photoSize(box, res);
+	const bytes = w * h * 4;
+	let px = IMAGE_CACHE.get(gray.key);
+	if (defer && canDitherInWorker(job.method)) {
+		const pass = RISO_PASS;
+		const at = layer.drawingContext.getTransform();
+		const levels = px ? null : gray.levels;
+		if (px) px = px.slice(); // the worker takes its copy's buffer
+		else {
+			px = gray.pixels();
+			if (!levels) IMAGE_CACHE.set(gray.key, px.slice(), bytes);
 		}
-		if (lines.length < maxLines && cur) lines.push(cur);
-		g.textAlign(CENTER, TOP);
-		for (let i = 0; i < lines.length; i++)
-			g.text(lines[i], cx, startY + i * lineGap);
+		const done = ditherInWorker(px, w, h, { ...job, levels });
+		RISO_PENDING.push(
+			done.then(({ pixels, leveled }) => {
+				if (leveled) IMAGE_CACHE.set(gray.key, leveled, bytes);
+				const img = imageFromPixels(pixels, w, h);
+				IMAGE_CACHE.set(key, img, bytes);
+				if (pass !== RISO_PASS) return; // the plates were redrawn meanwhile
+				layer.push();
+				layer.drawingContext.setTransform(at);
+				place(img);
+				layer.pop();
+			})
+		);
+		return;
+	}
+
+	if (!px) {
+		px = gray.pixels();
+		if (gray.levels) px = levelPixels(px, w, h, ...gray.levels);
+		IMAGE_CACHE.set(gray.key, px, bytes);
 	}
+	const img = ditheredImage(px, w, h, job.method, job.opts);
+	IMAGE_CACHE.set(key, img, bytes);
+	place(img);
 }
 
-//// TEAL PLATE (Bayer dither) ////////////////////////////////////////////////
-function drawImageHalftone_toLayer(layer, d, x, y, w, h) {
+// CSV 'dither' column wins, then the sheet's pick, then DITHER_METHOD
+function stampDither(d) {
+	if (DITHERS[d.dither]) return d.dither;
+	return SHEET_DITHER[sheetIndex] || DITHER_METHOD;
+}
+
+// Image box of a stamp, with the device photo fitted inside (null if none);
+// src = [sx, sy, sw, sh] of the photo shown, narrowed by a stamp crop
+function imageBox(d, x, y, w, h) {
 	const margin = IMG_MARGIN;
 	const imgX = x + STAMP_INSET + margin;
 	const imgY = y + STAMP_INSET + margin;
@@ -1060,7 +974,7 @@ function drawImageHalftone_toLayer(layer, d, x, y, w, h) {
 	const imgH = h - (STAMP_INSET + margin) * 2 - IMG_TEXT_FOOTER;
 
 	const img = d.image_path ? images[d.image_path] : null;
-	if (!img || img.width === 0) return;
+	if (!img || img.width === 0) return null;
 
 	// Fit to box
 	const imgRatio = img.width / img.height;
@@ -1074,243 +988,57 @@ function drawImageHalftone_toLayer(layer, d, x, y, w, h) {
 		drawW = imgH * imgRatio;
 	}
 
-	const cx = imgX + (imgW - drawW) / 2;
-	const cy = imgY + (imgH - drawH) / 2;
+	const crop = stampCrop(d) || { zoom: 1, x: 0, y: 0 };
+	const sw = img.width / crop.zoom,
+		sh = img.height / crop.zoom;
+	return {
+		img,
+		path: d.image_path,
+		cx: imgX + (imgW - drawW) / 2,
+		cy: imgY + (imgH - drawH) / 2,
+		drawW,
+		drawH,
+		src: [
+			((img.width - sw) * (crop.x + 1)) / 2,
+			((img.height - sh) * (crop.y + 1)) / 2,
+			sw,
+			sh,
+		],
+	};
+}
 
-	// Render source with paper tone behind transparent PNGs
-	const src = createGraphics(drawW, drawH);
+// Render source at device resolution with paper tone behind transparent PNGs
+function imageSource(box, res) {
+	const src = createGraphics(...photoSize(box, res));
 	src.pixelDensity(1);
 	src.background(STAMP_BG);
-	src.image(img, 0, 0, drawW, drawH);
-
-	// Normalize contrast: auto-levels + gentle gamma
-	const leveled = autoLevelsGray(
-		src,
-		LEVELS_CLIP_LOW,
-		LEVELS_CLIP_HIGH,
-		LEVELS_GAMMA
-	);
-
-	// Dither (Bayer 4x4 or 8x8), with global gain/bias
-	const dithered =
-		DITHER_MATRIX === '8x8'
-			? bayerDither8x8(leveled, DITHER_GAIN, DITHER_BIAS)
-			: bayerDither4x4(leveled, DITHER_GAIN, DITHER_BIAS);
-
-	// Place onto TEAL plate
-	layer.image(dithered.get(), cx, cy);
+	src.image(box.img, 0, 0, src.width, src.height, ...box.src);
+	return src;
 }
-
-// 4×4 Bayer dither helper
-function bayerDither4x4(pg, gain = 1.0, bias = 0) {
-	// 4x4 Bayer threshold matrix (0..15)
-	const M = [
-		[0, 8, 2, 10],
-		[12, 4, 14, 6],
-		[3, 11, 1, 9],
-		[15, 7, 13, 5],
-	];
-	const w = pg.width,
-		h = pg.height;
-
-	pg.loadPixels();
-
-	const out = createGraphics(w, h);
-	out.pixelDensity(1);
-	out.loadPixels();
-
-	for (let y = 0; y < h; y++) {
-		for (let x = 0; x < w; x++) {
-			const idx = 4 * (y * w + x);
-			const r = pg.pixels[idx + 0];
-			const g = pg.pixels[idx + 1];
-			const b = pg.pixels[idx + 2];
-			const a = pg.pixels[idx + 3];
-
-			// Perceptual luminance
-			let lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-
-			// Apply gain/bias for plate contrast control
-			lum = lum * gain + bias;
-			if (lum < 0) lum = 0;
-			else if (lum > 255) lum = 255;
-
-			// Threshold from Bayer matrix scaled to 0..255
-			const t = ((M[y & 3][x & 3] + 0.5) / 16) * 255;
-
-			const v = lum > t ? 255 : 0; // 1-bit output
-
-			out.pixels[idx + 0] = v;
-			out.pixels[idx + 1] = v;
-			out.pixels[idx + 2] = v;
-			out.pixels[idx + 3] = a; // keep edges clean
-		}
-	}
-	out.updatePixels();
-	return out;
-}
-
-// ---- Auto-levels: clip low/high percentiles, convert to grayscale, apply gamma
-// ---- Auto-levels (alpha-aware): clip low/high percentiles on opaque pixels only
-function autoLevelsGray(pg, clipLow = 0.05, clipHigh = 0.95, gamma = 1.0) {
-	const w = pg.width,
-		h = pg.height;
-	pg.loadPixels();
-
-	// luminance histogram over opaque pixels only
-	const hist = new Uint32Array(256);
-	let opaqueCount = 0;
-	for (let i = 0; i < w * h; i++) {
-		const idx = i * 4;
-		const a = pg.pixels[idx + 3];
-		if (a > 8) {
-			// ignore fully/near-transparent pixels
-			const r = pg.pixels[idx],
-				g = pg.pixels[idx + 1],
-				b = pg.pixels[idx + 2];
-			const lum = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
-			hist[lum]++;
-			opaqueCount++;
-		}
-	}
-
-	// if everything is transparent or no opaque pixels, just return a white image
-	if (opaqueCount === 0) {
-		const outEmpty = createGraphics(w, h);
-		outEmpty.pixelDensity(1);
-		outEmpty.background(255, 0); // fully transparent white
-		return outEmpty;
-	}
-
-	// cumulative
-	const cdf = new Uint32Array(256);
-	let sum = 0;
-	for (let i = 0; i < 256; i++) {
-		sum += hist[i];
-		cdf[i] = sum;
-	}
-
-	const loTarget = Math.max(
-		0,
-		Math.min(opaqueCount - 1, Math.floor(opaqueCount * clipLow))
-	);
-	const hiTarget = Math.max(
-		0,
-		Math.min(opaqueCount - 1, Math.floor(opaqueCount * clipHigh))
-	);
-
-	// find cutoffs
-	let lo = 0,
-		hi = 255;
-	while (lo < 256 && cdf[lo] <= loTarget) lo++;
-	while (hi >= 0 && cdf[hi] >= hiTarget) hi--;
-	if (hi <= lo) {
-		lo = 0;
-		hi = 255;
-	} // fallback
-
-	const out = createGraphics(w, h);
-	out.pixelDensity(1);
-	out.loadPixels();
-
-	const scale = 255 / (hi - lo);
-	for (let i = 0; i < w * h; i++) {
-		const idx = i * 4;
-		const a = pg.pixels[idx + 3];
-
-		// keep transparent pixels transparent and white
-		if (a <= 8) {
-			out.pixels[idx] = 255;
-			out.pixels[idx + 1] = 255;
-			out.pixels[idx + 2] = 255;
-			out.pixels[idx + 3] = 0;
-			continue;
-		}
-
-		const r = pg.pixels[idx],
-			g = pg.pixels[idx + 1],
-			b = pg.pixels[idx + 2];
-		let lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-
-		// levels
-		let v = (lum - lo) * scale;
-		if (v < 0) v = 0;
-		else if (v > 255) v = 255;
-
-		// gamma (in [0..1] space)
-		v = Math.pow(v / 255, gamma) * 255;
-
-		const val = Math.round(v);
-		out.pixels[idx] = val;
-		out.pixels[idx + 1] = val;
-		out.pixels[idx + 2] = val;
-		out.pixels[idx + 3] = a; // preserve original alpha
-	}
-	out.updatePixels();
-	return out;
+function sourcePixels(box, res) {
+	const src = imageSource(box, res);
+	src.loadPixels();
+	const px = src.pixels;
+	src.remove();
+	return px;
+}
+function photoSize(box, res) {
+	return [round(box.drawW * res), round(box.drawH * res)];
 }
 
-// ---- Bayer matrices
-const BAYER_4x4 = [
-	[0, 8, 2, 10],
-	[12, 4, 14, 6],
-	[3, 11, 1, 9],
-	[15, 7, 13, 5],
-];
-
-const BAYER_8x8 = [
-	[0, 32, 8, 40, 2, 34, 10, 42],
-	[48, 16, 56, 24, 50, 18, 58, 26],
-	[12, 44, 4, 36, 14, 46, 6, 38],
-	[60, 28, 52, 20, 62, 30, 54, 22],
-	[3, 35, 11, 43, 1, 33, 9, 41],
-	[51, 19, 59, 27, 49, 17, 57, 25],
-	[15, 47, 7, 39, 13, 45, 5, 37],
-	[63, 31, 55, 23, 61, 29, 53, 21],
-];
-
-// ---- Dither functions (4x4 and 8x8), with gain/bias controls
-function bayerDither4x4(pg, gain = 1.0, bias = 0) {
-	return bayerDither(pg, BAYER_4x4, 16, gain, bias);
-}
-function bayerDither8x8(pg, gain = 1.0, bias = 0) {
-	return bayerDither(pg, BAYER_8x8, 64, gain, bias);
-}
-function bayerDither(pg, matrix, denom, gain, bias) {
-	const w = pg.width,
-		h = pg.height;
-	pg.loadPixels();
-	const out = createGraphics(w, h);
-	out.pixelDensity(1);
-	out.loadPixels();
-	for (let y = 0; y < h; y++) {
-		for (let x = 0; x < w; x++) {
-			const idx = 4 * (y * w + x);
-			const a = pg.pixels[idx + 3];
-
-			let v = pg.pixels[idx]; // already grayscale from autoLevelsGray
-			v = v * gain + bias;
-			if (v < 0) v = 0;
-			else if (v > 255) v = 255;
-
-			const t =
-				((matrix[y % matrix.length][x % matrix.length] + 0.5) / denom) * 255;
-			const outV = v > t ? 255 : 0;
-
-			out.pixels[idx] = outV;
-			out.pixels[idx + 1] = outV;
-			out.pixels[idx + 2] = outV;
-			out.pixels[idx + 3] = a;
-		}
-	}
-	out.updatePixels();
-	return out;
+// IMAGE_CACHE key of a processed photo: which image, at what size and crop,
+// on what paper, then the step (parts)
+function photoKey(box, res, ...parts) {
+	const { path, img, src } = box;
+	const size = photoSize(box, res);
+	return cacheKey(path, imageId(img), size, src, STAMP_BG, parts);
 }
 
 //// RISO: Registration / crop marks & export //////////////////////////////////
 function drawRegistrationMarks(layer) {
-	const m = 28,
-		s = 14;
+	const k = PPI / 300; // mark sizes below are 300 ppi px
+	const m = 28 * k,
+		s = 14 * k;
 	const pts = [
 		[m, m],
 		[width - m, m],
@@ -1318,17 +1046,19 @@ function drawRegistrationMarks(layer) {
 		[width - m, height - m],
 	];
 	layer.push();
-	layer.stroke(0);
-	layer.strokeWeight(2);
+	// full ink: a Riso layer takes the value as ink alpha, other plates
+	// (PdfLayer, SvgLayer) read dark as ink
+	layer.stroke(layer instanceof Riso ? 255 : 0);
+	layer.strokeWeight(2 * k);
 	for (const [x, y] of pts) {
 		layer.line(x - s, y, x + s, y);
 		layer.line(x, y - s, x, y + s);
 	}
-	const left = MARGIN - 10,
-		top = MARGIN - 10,
-		right = width - MARGIN + 10,
-		bottom = height - MARGIN + 10;
-	const t = 20;
+	const left = MARGIN - 10 * k,
+		top = MARGIN - 10 * k,
+		right = width - MARGIN + 10 * k,
+		bottom = height - MARGIN + 10 * k;
+	const t = 20 * k;
 	layer.line(left, top, left + t, top);
 	layer.line(left, top, left, top + t);
 	layer.line(right, top, right - t, top);
@@ -1341,9 +1071,333 @@ function drawRegistrationMarks(layer) {
 }
 
 function exportRiso() {
-	// Save each plate separately; names include sheet index
-	L_BLACK.save(`lost_circuits_sheet${sheetIndex + 1}_BLACK`);
-	L_TEAL.save(`lost_circuits_sheet${sheetIndex + 1}_TEAL`);
+	// Save each plate separately (photos in); names include sheet index
+	risoSettled().then((current) => {
+		if (!current) {
+			console.warn('Sheet changed before the plates were ready; export again.');
+			return;
+		}
+		for (const plate of risoPlates())
+			plate.layer.save(sheetFileName(plate.name));
+		exportManifest(sheetFileName());
+	});
+}
+
+// A plate render starts: clear the layers, forget the last one's photos
+function beginRisoPass() {
+	RISO_PASS++;
+	RISO_PENDING = [];
+	clearRiso();
+}
+// Out of RISO preview: drop late photos and free the scratch buffers
+function endRisoPass() {
+	RISO_PASS++;
+	RISO_PENDING = [];
+	disposeStampBuffers();
+}
+// Resolves true once this pass's photos are on the plates, false if a newer
+// pass replaced it first
+function risoSettled() {
+	const pass = RISO_PASS;
+	return Promise.all(RISO_PENDING).then(() => pass === RISO_PASS);
+}
+
+// Ink layers in plate order (first use in the separation)
+function risoPlates() {
+	if (!ensureRisoLayers()) return [];
+	return separationInks().map((name) => ({ name, layer: RISO_LAYERS[name] }));
+}
+
+//// PDF (print shop: one page per sheet + per plate, vectors kept) ///////////
+const PDF_BLEED_IN = 0.125;
+
+// Every sheet → composite page, then one page per ink plate. Linework and
+// type are recorded as vectors; only dithered images are 1-bit rasters.
+function buildSheetPdf() {
+	const doc = new PdfDocument();
+	const inks = separationInks();
+	const page = { width, height, ppi: PPI, bleed: PDF_BLEED_IN };
+	const current = sheetIndex;
+	for (let s = 0; s < sheetCount(); s++) {
+		sheetIndex = s;
+		const layers = {};
+		for (const ink of inks) {
+			layers[ink] = new PdfLayer();
+			drawRegistrationMarks(layers[ink]);
+		}
+		forEachStamp((d, f) => drawStampPlates(layers, d, f));
+		doc.addPage({
+			...page,
+			layers: inks.map((ink) => ({ layer: layers[ink], ink: inkColor(ink) })),
+		});
+		for (const ink of inks)
+			doc.addPage({ ...page, layers: [{ layer: layers[ink], ink: [0, 0, 0] }] });
+	}
+	sheetIndex = current;
+	return doc.toBytes();
+}
+
+function exportPdf() {
+	downloadBytes(
+		buildSheetPdf(),
+		`${datasetId()}_sheets.pdf`,
+		'application/pdf'
+	);
+	exportManifest(`${datasetId()}_sheets`, [...Array(sheetCount()).keys()]);
+}
+
+//// SVG (editable: a group per stamp and per element) ////////////////////////
+// The current sheet in RGB as drawn on screen, on a paper rect
+function buildSheetSvg() {
+	const layer = new SvgLayer();
+	layer.beginGroup('paper');
+	layer.noStroke();
+	layer.fill(255);
+	layer.rect(0, 0, width, height);
+	layer.endGroup();
+	forEachStamp((d, f) => drawStampTo(() => layer, d, f, false));
+	return layer.toSvg({ width, height, ppi: PPI, title: sheetFileName() });
+}
+
+// ink → SVG of its plate for the current sheet (black, as the PDF plates)
+function buildPlateSvgs() {
+	const layers = {};
+	for (const ink of separationInks()) {
+		layers[ink] = new SvgLayer({ ink: [0, 0, 0] });
+		layers[ink].beginGroup('registration');
+		drawRegistrationMarks(layers[ink]);
+		layers[ink].endGroup();
+	}
+	forEachStamp((d, f) => drawStampPlates(layers, d, f));
+	const svgs = {};
+	for (const ink in layers) {
+		const title = sheetFileName(ink);
+		svgs[ink] = layers[ink].toSvg({ width, height, ppi: PPI, title });
+	}
+	return svgs;
+}
+
+function exportSvg() {
+	const type = 'image/svg+xml';
+	downloadBytes(buildSheetSvg(), `${sheetFileName()}.svg`, type);
+	const plates = buildPlateSvgs();
+	for (const ink in plates)
+		downloadBytes(plates[ink], `${sheetFileName(ink)}.svg`, type);
+	exportManifest(sheetFileName());
+}
+
+//// CUT LINES (perforation + kiss-cut for plotters / lasers) ///////////////
+function sheetCutLayer() {
+	const perSheet = COLS * ROWS;
+	const count = min(perSheet, devices.length - sheetIndex * perSheet);
+	const cells = [];
+	for (let i = 0; i < count; i++)
+		cells.push(grid.getModule(i % COLS, floor(i / COLS)));
+	return buildCutLayer(cells, { gutter: GUTTER, ppi: PPI, gauge: PERF_GAUGE });
+}
+
+// { svg, dxf } strings for the current sheet
+function buildSheetCutFiles() {
+	const cut = sheetCutLayer();
+	const page = { width, height, ppi: PPI };
+	return { svg: cutLayerToSvg(cut, page), dxf: cutLayerToDxf(cut, page) };
+}
+
+function exportCutLines() {
+	const { svg, dxf } = buildSheetCutFiles();
+	downloadBytes(svg, `${sheetFileName('CUT')}.svg`, 'image/svg+xml');
+	downloadBytes(dxf, `${sheetFileName('CUT')}.dxf`, 'application/dxf');
+	exportManifest(sheetFileName());
+}
+
+//// SHEET STATE (shared by keys + cli/render.js) //////////////////////////////
+function sheetCount() {
+	return max(1, ceil(devices.length / (COLS * ROWS)));
+}
+function showSheet(i) {
+	const total = sheetCount();
+	sheetIndex = ((i % total) + total) % total;
+	drawSheet();
+}
+// Preset name or custom spec ('a4', '11x17in@600'); rebuilds grid + pages
+function applySheetFormat(spec) {
+	const fmt = parseSheetFormat(spec);
+	SHEET_FORMAT = fmt.id;
+	CANVAS_W = fmt.width;
+	CANVAS_H = fmt.height;
+	PPI = fmt.dpi;
+	COLS = fmt.cols;
+	ROWS = fmt.rows;
+	MARGIN = fmt.margin;
+	GUTTER = fmt.gutter;
+
+	resizeCanvas(CANVAS_W, CANVAS_H);
+	resetRisoLayers();
+	if (USE_RISO) ensureRisoLayers();
+	buildGrid();
+	sheetIndex = min(sheetIndex, sheetCount() - 1);
+	drawSheet();
+	return fmt;
+}
+function setSeparation(name) {
+	if (!SEPARATIONS[name])
+		throw new Error(
+			`Unknown separation "${name}" — use ${Object.keys(SEPARATIONS).join(', ')}`
+		);
+	SEPARATION = name;
+	resetRisoLayers();
+	if (USE_RISO) ensureRisoLayers();
+	drawSheet();
+}
+// Default method for all sheets (clears per-sheet picks)
+function setDitherMethod(method) {
+	if (!DITHERS[method])
+		throw new Error(
+			`Unknown dither "${method}" — use ${Object.keys(DITHERS).join(', ')}`
+		);
+	DITHER_METHOD = method;
+	SHEET_DITHER = {};
+	drawSheet();
+}
+function cycleSheetDither() {
+	const names = Object.keys(DITHERS);
+	const cur = SHEET_DITHER[sheetIndex] || DITHER_METHOD;
+	SHEET_DITHER[sheetIndex] = names[(names.indexOf(cur) + 1) % names.length];
+	drawSheet();
+	return SHEET_DITHER[sheetIndex];
+}
+// Default layout for all sheets (clears per-sheet picks)
+function setStampLayout(name) {
+	if (!STAMP_LAYOUTS[name])
+		throw new Error(
+			`Unknown layout "${name}" — use ${Object.keys(STAMP_LAYOUTS).join(', ')}`
+		);
+	STAMP_LAYOUT = name;
+	SHEET_LAYOUT = {};
+	drawSheet();
+}
+function cycleSheetLayout() {
+	const names = Object.keys(STAMP_LAYOUTS);
+	const cur = sheetLayout();
+	SHEET_LAYOUT[sheetIndex] = names[(names.indexOf(cur) + 1) % names.length];
+	drawSheet();
+	return SHEET_LAYOUT[sheetIndex];
+}
+function setPriceSeal(mode) {
+	if (!PRICE_SEAL_MODES[mode])
+		throw new Error(
+			`Unknown price seal "${mode}" — use ${Object.keys(PRICE_SEAL_MODES).join(
+				', '
+			)}`
+		);
+	PRICE_SEAL = mode;
+	drawSheet();
+}
+function setPerfGauge(gauge) {
+	PERF_GAUGE = gauge;
+	updateSheetUrl();
+}
+// Locked stamps keep their own seed (see overrides.js)
+function reseed(seed = floor(random(1e9))) {
+	baseSeed = seed;
+	releaseStampSeeds();
+	drawSheet();
+	return baseSeed;
+}
+function setRisoPreview(on) {
+	USE_RISO = !!on && ensureRisoLayers();
+	drawSheet();
+	return USE_RISO;
+}
+// true once the CSV is parsed and every queued image has loaded or failed
+function sheetReady() {
+	return (
+		!!grid && devices.length > 0 && imagesLoaded + imagesFailed === imagesToLoad
+	);
+}
+// 'lost_circuits_sheet_2' for the RGB sheet, 'lost_circuits_sheet2_TEAL' per
+// plate ('lost_circuits' = the dataset id)
+function sheetFileName(plate) {
+	return plate
+		? `${datasetId()}_sheet${sheetIndex + 1}_${plate}`
+		: `${datasetId()}_sheet_${sheetIndex + 1}`;
+}
+function datasetId() {
+	const ds = DATASETS[datasetIndex];
+	return ds ? ds.id : 'lost_circuits';
+}
+// Switch series (index or id): reload devices (+ images), theme, back to its
+// first sheet
+function showDataset(i) {
+	const total = DATASETS.length;
+	if (!total) return;
+	if (typeof i === 'string') {
+		const id = i;
+		i = DATASETS.findIndex((ds) => ds.id === id);
+		if (i < 0)
+			throw new Error(
+				`Unknown dataset "${id}" — use ${DATASETS.map((ds) => ds.id).join(', ')}`
+			);
+	}
+	datasetIndex = ((i % total) + total) % total;
+	sheetIndex = 0;
+	SHEET_DITHER = {};
+	SHEET_LAYOUT = {};
+	applyDatasetTheme();
+	loadDevices(drawSheet);
+	loadRecordEditor();
+	const picker = select('#dataset');
+	if (picker) picker.value(datasetIndex);
+	drawSheet();
+}
+
+function setupDatasetPicker() {
+	const picker = select('#dataset');
+	if (!picker) return;
+	DATASETS.forEach((ds, i) => {
+		const opt = createElement('option', ds.title);
+		opt.attribute('value', i);
+		picker.child(opt);
+	});
+	picker.value(datasetIndex);
+	picker.changed(() => showDataset(int(picker.value())));
+}
+
+// Footer <select> (presets) + text field (custom spec), if the page has them
+function setupFormatPicker() {
+	const picker = select('#sheet-format'),
+		custom = select('#sheet-format-custom');
+	if (!picker) return;
+	for (const [id, f] of Object.entries(SHEET_FORMATS)) {
+		const opt = createElement('option', f.label);
+		opt.attribute('value', id);
+		picker.child(opt);
+	}
+	picker.value(SHEET_FORMAT);
+	picker.changed(() => applySheetFormat(picker.value()));
+	if (custom)
+		custom.changed(() => {
+			try {
+				const fmt = applySheetFormat(custom.value());
+				if (SHEET_FORMATS[fmt.id]) picker.value(fmt.id);
+				custom.removeClass('invalid');
+			} catch (err) {
+				console.warn(err.message);
+				custom.addClass('invalid');
+			}
+		});
+}
+
+function setupPerfPicker() {
+	const picker = select('#perf-gauge');
+	if (!picker) return;
+	for (const g of PERF_GAUGES) {
+		const opt = createElement('option', `perf ${g}`);
+		opt.attribute('value', g);
+		picker.child(opt);
+	}
+	picker.value(PERF_GAUGE);
+	picker.changed(() => setPerfGauge(float(picker.value())));
 }
 
 //// UTIL //////////////////////////////////////////////////////////////////////
@@ -1356,31 +1410,76 @@ function hash(s) {
 	return h;
 }
 
+// Seeded PRNG (mulberry32) — keeps p5's random() sequence untouched
+function seededRandom(key) {
+	let s = hash(key);
+	return () => {
+		s = (s + 0x6d2b79f5) >>> 0;
+		let t = s;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// 'Sony Walkman TPS-L2' → 'sony-walkman-tps-l2' (file names)
+function slugify(name) {
+	return String(name)
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-|-$/g, '');
+}
+
+function downloadBytes(bytes, filename, type) {
+	const url = URL.createObjectURL(new Blob([bytes], { type }));
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = filename;
+	a.click();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 //// INTERACTION ////////////////////////////////////////////////////////////////
 function keyPressed() {
+	// leave typing in the footer fields alone
+	if (document.activeElement && document.activeElement.closest('footer'))
+		return;
 	if (key === 'c' || key === 'C') {
 		SHOW_TRACES = !SHOW_TRACES;
 		drawSheet();
 	}
-	if (key === 'r' || key === 'R') {
-		baseSeed = floor(random(1e9));
-		drawSheet();
-	}
+	if (key === 'r' || key === 'R') console.log('Seed:', reseed());
 	if (key === 's' || key === 'S') {
-		saveCanvas(`lost_circuits_sheet_${sheetIndex + 1}`, 'png');
+		saveCanvas(sheetFileName(), 'png');
+		exportManifest(sheetFileName());
 	}
-	if (keyCode === RIGHT_ARROW) {
-		const ps = COLS * ROWS,
-			total = max(1, ceil(devices.length / ps));
-		sheetIndex = (sheetIndex + 1) % total;
+	if (key === 'p' || key === 'P') exportPdf();
+	if (key === 'k' || key === 'K') exportCutLines();
+	if (key === 'v' || key === 'V') exportSvg();
+	if (key === 'd' || key === 'D')
+		console.log('Sheet dither:', DITHERS[cycleSheetDither()].label);
+	if (key === 't' || key === 'T')
+		console.log('Sheet layout:', STAMP_LAYOUTS[cycleSheetLayout()].label);
+	if (key === 'm' || key === 'M') {
+		SIMULATE_PRESS = !SIMULATE_PRESS;
+		console.log('Press simulation:', SIMULATE_PRESS ? 'ON' : 'OFF');
 		drawSheet();
 	}
-	if (keyCode === LEFT_ARROW) {
-		const ps = COLS * ROWS,
-			total = max(1, ceil(devices.length / ps));
-		sheetIndex = (sheetIndex - 1 + total) % total;
+	if ((key === 'n' || key === 'N') && SIMULATE_PRESS) {
+		PRESS_PULL++;
 		drawSheet();
 	}
+	if (key === 'i' || key === 'I') {
+		const names = Object.keys(SEPARATIONS);
+		setSeparation(names[(names.indexOf(SEPARATION) + 1) % names.length]);
+		console.log('Separation:', SEPARATION, separationInks().join(' + '));
+	}
+	if (keyCode === RIGHT_ARROW) showSheet(sheetIndex + 1);
+	if (keyCode === LEFT_ARROW) showSheet(sheetIndex - 1);
+	if (keyCode === DOWN_ARROW || keyCode === UP_ARROW) {
+		showDataset(datasetIndex + (keyCode === DOWN_ARROW ? 1 : -1));
+		return false; // don't scroll the page too
+	}
 
 	if (key === 'l' || key === 'L') {
 		if (!ensureRisoLayers()) {
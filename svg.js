@@ -0,0 +1,344 @@
+/* svg.js — editable SVG for sheets, plates and single stamps
+   - SvgLayer records the same slice of the p5.Graphics API as PdfLayer
+     (RENDER_TARGET_API in sketch.js) as SVG elements in sheet pixel
+     coordinates, transforms applied, so every shape stays a plain shape
+   - beginGroup(name) / endGroup() nest them in named <g> groups (ids and
+     Inkscape labels; Illustrator names layers after the id). Empty groups
+     are dropped
+   - ink: null keeps colours as drawn (RGB sheet); [r, g, b] prints a plate
+     in that ink: coverage tints toward it and images become 1-bit masks
+*/
+
+const SVG_FONT = 'Helvetica, Arial, sans-serif'; // as the PDF's standard-14
+
+function svgNum(n) {
+	return Number.isInteger(n) ? String(n) : (+n.toFixed(2)).toString();
+}
+
+function svgEscape(str) {
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+//// Layer (p5.Graphics look-alike) ////////////////////////////////////////////
+class SvgLayer {
+	constructor({ ink = null } = {}) {
+		this.ink = ink;
+		this.out = []; // element strings
+		this.groups = []; // open groups: { id, at } (at = index of its <g>)
+		this.ids = new Set();
+		this.state = {
+			fill: { rgb: [0, 0, 0], alpha: 1 },
+			stroke: { rgb: [0, 0, 0], alpha: 1 },
+			weight: 1,
+			rectMode: 'corner',
+			alignX: 'left',
+			alignY: 'alphabetic',
+			size: 12,
+			style: 'normal',
+			t: { sx: 1, sy: 1, tx: 0, ty: 0 }, // translate + scale only
+		};
+		this.stack = [];
+		this.shape = null;
+	}
+
+	//// groups
+	beginGroup(name) {
+		const parent = this.groups[this.groups.length - 1];
+		// ids are XML names: start with a letter, never empty
+		const slug = slugify(String(name)) || 'group';
+		const base = parent ? `${parent.id}-${slug}` : `g-${slug}`;
+		let id = base;
+		for (let n = 2; this.ids.has(id); n++) id = `${base}-${n}`;
+		this.ids.add(id);
+		this.groups.push({ id, at: this.out.length });
+		this.out.push(`<g id="${id}" inkscape:label="${svgEscape(name)}">`);
+	}
+	endGroup() {
+		const group = this.groups.pop();
+		if (!group) return;
+		if (this.out.length === group.at + 1) {
+			this.out.pop(); // nothing drawn in it
+			this.ids.delete(group.id);
+		} else this.out.push('</g>');
+	}
+
+	//// state
+	push() {
+		this.stack.push({ ...this.state, t: { ...this.state.t } });
+	}
+	pop() {
+		if (this.stack.length) this.state = this.stack.pop();
+	}
+	translate(x, y) {
+		const t = this.state.t;
+		t.tx += t.sx * x;
+		t.ty += t.sy * y;
+	}
+	scale(sx, sy = sx) {
+		this.state.t.sx *= sx;
+		this.state.t.sy *= sy;
+	}
+	fill(...args) {
+		this.state.fill = this._paint(args);
+	}
+	noFill() {
+		this.state.fill = null;
+	}
+	stroke(...args) {
+		this.state.stroke = this._paint(args);
+	}
+	noStroke() {
+		this.state.stroke = null;
+	}
+	strokeWeight(w) {
+		this.state.weight = w;
+	}
+	rectMode(mode) {
+		this.state.rectMode = mode;
+	}
+	textAlign(x, y) {
+		this.state.alignX = x;
+		if (y !== undefined) this.state.alignY = y;
+	}
+	textSize(s) {
+		this.state.size = s;
+	}
+	textStyle(s) {
+		this.state.style = PDF_FONTS[s] ? s : 'normal';
+	}
+
+	// p5 gray / gray+alpha / rgb / rgba / [..] / p5.Color → { rgb, alpha }
+	_paint(args) {
+		let v = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+		if (v.length === 1 && v[0] && v[0].levels) v = v[0].levels;
+		const rgb = v.length >= 3 ? v.slice(0, 3) : [v[0], v[0], v[0]];
+		const a = v.length === 2 ? v[1] : v.length === 4 ? v[3] : 255;
+		return { rgb, alpha: constrainUnit(a / 255) };
+	}
+
+	//// shapes
+	rect(x, y, w, h, r = 0) {
+		if (this.state.rectMode === 'center') {
+			x -= w / 2;
+			y -= h / 2;
+		}
+		const [px, py] = this._xy(x, y);
+		const { sx, sy } = this.state.t;
+		r = Math.min(r, Math.abs(w) / 2, Math.abs(h) / 2);
+		this._shape(
+			'rect',
+			`x="${svgNum(px)}" y="${svgNum(py)}" width="${svgNum(
+				w * sx
+			)}" height="${svgNum(h * sy)}"${r ? ` rx="${svgNum(r * sx)}"` : ''}`
+		);
+	}
+	circle(x, y, d) {
+		this.ellipse(x, y, d, d);
+	}
+	ellipse(x, y, w, h = w) {
+		const [cx, cy] = this._xy(x, y);
+		const { sx, sy } = this.state.t;
+		const rx = Math.abs((w / 2) * sx),
+			ry = Math.abs((h / 2) * sy);
+		const c = `cx="${svgNum(cx)}" cy="${svgNum(cy)}"`;
+		if (rx === ry) this._shape('circle', `${c} r="${svgNum(rx)}"`);
+		else this._shape('ellipse', `${c} rx="${svgNum(rx)}" ry="${svgNum(ry)}"`);
+	}
+	// p5 semantics: fill as a pie wedge, stroke as the open arc
+	arc(x, y, w, h, start, stop) {
+		while (stop < start) stop += Math.PI * 2;
+		if (stop - start >= Math.PI * 2 - 1e-6) return this.ellipse(x, y, w, h);
+		const [cx, cy] = this._xy(x, y);
+		const { sx, sy } = this.state.t;
+		const rx = Math.abs((w / 2) * sx),
+			ry = Math.abs((h / 2) * sy);
+		const at = (a) =>
+			`${svgNum(cx + rx * Math.cos(a))} ${svgNum(cy + ry * Math.sin(a))}`;
+		const large = stop - start > Math.PI ? 1 : 0;
+		const sweep = `A ${svgNum(rx)} ${svgNum(ry)} 0 ${large} 1 ${at(stop)}`;
+		if (this.state.fill)
+			this._shape(
+				'path',
+				`d="M ${svgNum(cx)} ${svgNum(cy)} L ${at(start)} ${sweep} Z"`,
+				true,
+				false
+			);
+		if (this.state.stroke)
+			this._shape('path', `d="M ${at(start)} ${sweep}"`, false, true);
+	}
+	line(x1, y1, x2, y2) {
+		const [ax, ay] = this._xy(x1, y1),
+			[bx, by] = this._xy(x2, y2);
+		this._shape(
+			'line',
+			`x1="${svgNum(ax)}" y1="${svgNum(ay)}" x2="${svgNum(bx)}" y2="${svgNum(
+				by
+			)}"`,
+			false
+		);
+	}
+	triangle(x1, y1, x2, y2, x3, y3) {
+		this._poly('polygon', [
+			[x1, y1],
+			[x2, y2],
+			[x3, y3],
+		]);
+	}
+	beginShape() {
+		this.shape = [];
+	}
+	vertex(x, y) {
+		if (this.shape) this.shape.push([x, y]);
+	}
+	endShape(mode) {
+		const pts = this.shape || [];
+		this.shape = null;
+		if (pts.length < 2) return;
+		this._poly(mode === 'close' ? 'polygon' : 'polyline', pts);
+	}
+
+	//// text (live text: editable, in the PDF's font)
+	textWidth(str) {
+		const ctx = pdfMeasureContext();
+		ctx.font = `${PDF_FONTS[this.state.style].css}${this.state.size}px ${SVG_FONT}`;
+		return ctx.measureText(String(str)).width;
+	}
+	text(str, x, y) {
+		str = String(str);
+		if (!str || !this.state.fill) return;
+		const { size, alignX, alignY, style, t } = this.state;
+		// baseline from p5's vertical alignment, as PdfLayer
+		if (alignY === 'center') y += size * 0.35;
+		else if (alignY === 'top') y += size * 0.75;
+		else if (alignY === 'bottom') y -= size * 0.22;
+		const [px, py] = this._xy(x, y);
+		const anchor =
+			alignX === 'center' ? 'middle' : alignX === 'right' ? 'end' : 'start';
+		const font = [
+			`font-family="${SVG_FONT}" font-size="${svgNum(size * t.sy)}"`,
+			style.includes('bold') ? 'font-weight="bold"' : '',
+			style.includes('italic') ? 'font-style="italic"' : '',
+			anchor === 'start' ? '' : `text-anchor="${anchor}"`,
+		]
+			.filter(Boolean)
+			.join(' ');
+		this.out.push(
+			`<text x="${svgNum(px)}" y="${svgNum(py)}" ${font}${this._paintAttrs(
+				true,
+				false
+			)}>${svgEscape(str)}</text>`
+		);
+	}
+
+	//// images: embedded PNG at placed size (photo on screen, mask on plates)
+	image(img, x, y, w, h, sx = 0, sy = 0, sw, sh) {
+		const src = img.canvas || img.elt || img;
+		if (!img.width || !img.height) return;
+		w = w === undefined ? img.width : w;
+		h = h === undefined ? img.height : h;
+		sw = sw === undefined ? img.width : sw;
+		sh = sh === undefined ? img.height : sh;
+		const [px, py] = this._xy(x, y);
+		const { t } = this.state;
+		const dw = Math.max(1, Math.round(Math.abs(w * t.sx))),
+			dh = Math.max(1, Math.round(Math.abs(h * t.sy)));
+
+		const c = document.createElement('canvas');
+		c.width = dw;
+		c.height = dh;
+		const ctx = c.getContext('2d');
+		const k = src.width / img.width; // pixel density of the source canvas
+		ctx.imageSmoothingEnabled = !this.ink;
+		ctx.drawImage(src, sx * k, sy * k, sw * k, sh * k, 0, 0, dw, dh);
+		if (this.ink) {
+			// ink where Riso would lay ink, transparent elsewhere
+			const data = ctx.getImageData(0, 0, dw, dh);
+			const px4 = data.data;
+			for (let i = 0; i < px4.length; i += 4) {
+				const a = px4[i + 3];
+				const ink =
+					a < 255 ? a > 127 : (px4[i] + px4[i + 1] + px4[i + 2]) / 3 < 128;
+				[px4[i], px4[i + 1], px4[i + 2]] = this.ink;
+				px4[i + 3] = ink ? 255 : 0;
+			}
+			ctx.putImageData(data, 0, 0);
+		}
+		this.out.push(
+			`<image x="${svgNum(px)}" y="${svgNum(py)}" width="${svgNum(
+				w * t.sx
+			)}" height="${svgNum(h * t.sy)}" preserveAspectRatio="none"${
+				this.ink ? ' style="image-rendering:pixelated"' : ''
+			} xlink:href="${c.toDataURL('image/png')}"/>`
+		);
+	}
+
+	//// document
+	// width × height px at ppi → physical size in mm, viewBox in px
+	toSvg({ width, height, ppi, title = '' }) {
+		while (this.groups.length) this.endGroup();
+		const mm = (px) => svgNum((px / ppi) * 25.4);
+		const head = [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${mm(
+				width
+			)}mm" height="${mm(height)}mm" viewBox="0 0 ${width} ${height}">`,
+		];
+		if (title) head.push(`<title>${svgEscape(title)}</title>`);
+		return [
+			...head,
+			'<g stroke-linecap="round" stroke-linejoin="miter">',
+			...this.out,
+			'</g>',
+			'</svg>',
+			'',
+		].join('\n');
+	}
+
+	//// helpers
+	_xy(x, y) {
+		const { sx, sy, tx, ty } = this.state.t;
+		return [tx + sx * x, ty + sy * y];
+	}
+	_poly(tag, pts) {
+		const points = pts
+			.map((p) => this._xy(...p).map(svgNum).join(','))
+			.join(' ');
+		this._shape(tag, `points="${points}"`); // p5 fills open shapes too
+	}
+	_shape(tag, attrs, canFill = true, canStroke = true) {
+		const paint = this._paintAttrs(canFill, canStroke);
+		if (paint === null) return;
+		this.out.push(`<${tag} ${attrs}${paint}/>`);
+	}
+	// ' fill=… stroke=…', or null when nothing would show
+	_paintAttrs(canFill, canStroke) {
+		const f = canFill && this.state.fill;
+		const s = canStroke && this.state.stroke;
+		if (!f && !s) return null;
+		let out = ` fill="${f ? this._color(f) : 'none'}"`;
+		if (f && f.alpha < 1) out += ` fill-opacity="${svgNum(f.alpha)}"`;
+		if (s) {
+			const { sx, sy } = this.state.t;
+			const weight = (this.state.weight * (Math.abs(sx) + Math.abs(sy))) / 2;
+			out += ` stroke="${this._color(s)}" stroke-width="${svgNum(weight)}"`;
+			if (s.alpha < 1) out += ` stroke-opacity="${svgNum(s.alpha)}"`;
+		}
+		return out;
+	}
+	// as drawn, or coverage (dark = ink) mixed from paper toward the plate ink
+	_color({ rgb }) {
+		let c = rgb;
+		if (this.ink) {
+			const lum = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+			const cov = 1 - constrainUnit(lum / 255);
+			c = this.ink.map((v) => 255 - cov * (255 - v));
+		}
+		return `#${c
+			.map((v) => Math.round(v).toString(16).padStart(2, '0'))
+			.join('')}`;
+	}
+}